@@ -1,99 +1,316 @@
-const { Client, GatewayIntentBits, EmbedBuilder, SlashCommandBuilder, REST, Routes } = require('discord.js');
-const mineflayer = require('mineflayer');
+const {
+    Client, GatewayIntentBits, EmbedBuilder, SlashCommandBuilder, REST, Routes,
+    ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle,
+    AttachmentBuilder, escapeMarkdown
+} = require('discord.js');
 const express = require('express');
 const http = require('http');
+const path = require('path');
+const MinecraftSession = require('./lib/minecraftSession');
+const { ConfigManager, ConfigError } = require('./lib/config');
+const { OnJoinScripts, describeStep } = require('./lib/onJoinScript');
+const { TokenStore, formatDuration } = require('./lib/tokenStore');
+const { createLogger, logManager, LEVELS } = require('./lib/logger');
+const ChatRelay = require('./lib/chatRelay');
+const { Inbox, PLAYER_NAME } = require('./lib/inbox');
+const { AlertRules, IGN_PLACEHOLDER, describeTarget } = require('./lib/alerts');
+const { ShardTracker, DAY } = require('./lib/shardTracker');
+const { renderLineChart, formatNumber } = require('./lib/chart');
+const { SessionHistory } = require('./lib/sessionHistory');
+const ServerStatus = require('./lib/serverStatus');
+const { AntiAfk, ACTIONS: ANTI_AFK_ACTIONS } = require('./lib/antiAfk');
+const HealthGuard = require('./lib/healthGuard');
+const PlayerRadar = require('./lib/playerRadar');
+const { getInventory, dropSlot, equipItem, tossAll } = require('./lib/inventory');
+const { AutoDeposit } = require('./lib/storage');
+const { AuctionHouse } = require('./lib/auctionHouse');
+const { captureResponse, expandCommand } = require('./lib/commandCapture');
+const { Permissions } = require('./lib/permissions');
+const AuditLog = require('./lib/auditLog');
+const EventStream = require('./lib/eventStream');
+const { Webhooks, EVENTS: WEBHOOK_EVENTS } = require('./lib/webhooks');
+
+// Time ranges offered by /shards, /uptime and their web routes
+const HISTORY_RANGES = {
+    '24h': DAY,
+    '7d': 7 * DAY,
+    '30d': 30 * DAY
+};
 
-// Configuration
-const CONFIG = {
-    discord: {
-        token: process.env.DISCORD_BOT_TOKEN,
-        channelId: process.env.DISCORD_CHANNEL_ID
-    },
-    minecraft: {
-        host: 'donutsmp.net',
-        port: 25565,
-        version: '1.21.4',
-        auth: 'microsoft'
-    },
-    webServer: {
-        port: process.env.PORT || 5000,
-        host: '0.0.0.0'
-    }
+// Capability each slash command needs; "command subcommand" entries win over
+// the command. Commands from config.commands need chat, unlisted ones admin.
+const COMMAND_CAPABILITIES = {
+    'status': 'view',
+    'shards': 'view',
+    'uptime': 'view',
+    'serverinfo': 'view',
+    'nearby': 'view',
+    'inbox': 'view',
+    'logs': 'view',
+    'permissions': 'view',
+    'permissions denied': 'admin',
+    'audit': 'admin',
+    'webhooks': 'admin',
+    'connect': 'connect',
+    'disconnect': 'connect',
+    'message': 'chat',
+    'inventory': 'chat',
+    'inventory view': 'view',
+    'ah': 'chat',
+    'ah sales': 'view',
+    'storage': 'admin',
+    'storage list': 'view',
+    'storage deposit': 'chat',
+    'radar': 'admin',
+    'radar list': 'view',
+    'antiafk': 'admin',
+    'antiafk status': 'view',
+    'alerts': 'admin',
+    'alerts list': 'view',
+    'onjoin': 'admin',
+    'onjoin show': 'view',
+    'onjoin run': 'chat'
 };
 
+// Money and playtime change constantly; sidebar changes refresh the embed at most this often
+const SCOREBOARD_EMBED_INTERVAL = 60000;
+
+const log = createLogger('app');
+const discordLog = createLogger('discord');
+const webLog = createLogger('web');
+const authLog = createLogger('auth');
+
+// Configuration (config.json or CONFIG_PATH, overridden by environment variables)
+const configManager = new ConfigManager();
+let CONFIG;
+try {
+    CONFIG = configManager.load();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+logManager.configure(CONFIG.logging);
+
 class MinecraftDiscordBot {
     constructor() {
         this.discordClient = new Client({
             intents: [
                 GatewayIntentBits.Guilds,
                 GatewayIntentBits.GuildMessages,
-                GatewayIntentBits.GuildMessageReactions
+                GatewayIntentBits.GuildMessageReactions,
+                // Privileged intent, needed to read messages typed in the chat relay channel
+                ...(CONFIG.chatRelay.enabled ? [GatewayIntentBits.MessageContent] : [])
             ]
         });
-        this.minecraftBot = null;
-        this.controlMessage = null;
-        this.isConnected = false;
-        this.isConnecting = false;
-        this.authUrl = null;
-        this.userCode = null;
-        this.shouldJoin = false;
-        this.originalConsoleLog = null;
-        this.originalStdoutWrite = null;
-        this.authMessageSent = false;
-        this.authCheckTimeout = null;
-        this.lastAuthUser = null;
-        this.authMessage = null;
-        this.originalStderrWrite = null;
-        this.authCheckInterval = null;
-
-        // Enhanced features
-        this.currentWorld = 'Unknown';
-        this.currentCoords = { x: 0, y: 0, z: 0 };
-        this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 10000;
-        this.reconnectDelay = 15000;
         this.statusUpdateInterval = null;
+        this.tokenRefreshInterval = null;
+
+        // Minecraft sessions keyed by account id
+        this.sessions = new Map();
 
         // Web server properties
         this.app = null;
         this.server = null;
 
-        // Scoreboard properties
-        this.lastScoreboard = null;
-        this.scoreboardUpdateInterval = null;
+        this.onJoinScripts = new OnJoinScripts(path.join(CONFIG.dataDir, 'onjoin.json'), CONFIG);
+        this.tokenStore = new TokenStore({
+            profilesDir: CONFIG.auth.profilesDir || path.join(CONFIG.dataDir, 'profiles'),
+            passphrase: CONFIG.auth.passphrase
+        });
+        this.serverStatus = new ServerStatus(CONFIG);
+        this.permissions = new Permissions(path.join(CONFIG.dataDir, 'access.json'), CONFIG);
+        this.auditLog = new AuditLog(path.join(CONFIG.dataDir, 'audit.log'));
+        this.eventStream = new EventStream({ sessions: this.sessions });
+        this.webhooks = new Webhooks(path.join(CONFIG.dataDir, 'webhooks.json'), CONFIG);
+
+        this.inbox = new Inbox(path.join(CONFIG.dataDir, 'inbox.json'), CONFIG);
+        this.alertRules = new AlertRules(path.join(CONFIG.dataDir, 'alerts.json'));
+        this.antiAfk = new AntiAfk(path.join(CONFIG.dataDir, 'antiafk.json'), CONFIG);
+        this.healthGuard = new HealthGuard(CONFIG);
+        this.healthGuard.on('alert', (session, info) => {
+            this.showHealthAlert(session, info);
+            if (info.kind === 'lowHealth' || info.kind === 'emergency' || info.kind === 'death') {
+                this.webhooks.notify(info.kind === 'death' ? 'death' : 'lowHealth', session.id, info);
+            }
+        });
+        this.playerRadar = new PlayerRadar(path.join(CONFIG.dataDir, 'radar.json'), {
+            config: CONFIG,
+            sessions: this.sessions
+        });
+        this.playerRadar.on('player', (session, info) => {
+            this.showRadarNotification(session, info);
+            if (info.kind === 'enter') {
+                this.webhooks.notify('playerNearby', session.id, info);
+            }
+        });
+        this.autoDeposit = new AutoDeposit(path.join(CONFIG.dataDir, 'storage.json'), {
+            config: CONFIG,
+            sessions: this.sessions
+        });
+        this.autoDeposit.on('deposit', (session, result) => this.showStorageReport(session, result));
+        this.autoDeposit.on('full', (session, { reason }) => this.showStorageReport(session, null, reason));
+        this.auctionHouse = new AuctionHouse(path.join(CONFIG.dataDir, 'sales.json'), {
+            config: CONFIG,
+            sessions: this.sessions
+        });
+        this.auctionHouse.on('sale', (session, sale) => this.showSaleReport(session, sale));
+        this.chatRelay = new ChatRelay({
+            config: CONFIG,
+            discordClient: this.discordClient,
+            sessions: this.sessions,
+            permissions: this.permissions,
+            auditLog: this.auditLog
+        });
+        this.sessionHistory = new SessionHistory(path.join(CONFIG.dataDir, 'sessions.json'), CONFIG);
+        this.shardTracker = new ShardTracker(path.join(CONFIG.dataDir, 'shards.json'), {
+            config: CONFIG,
+            sessions: this.sessions
+        });
+
+        for (const account of CONFIG.accounts) {
+            this.addSession(account);
+        }
 
         this.setupDiscordEvents();
         this.setupSlashCommands();
     }
 
+    addSession(account) {
+        const session = new MinecraftSession(account, CONFIG, {
+            onJoinScripts: this.onJoinScripts,
+            tokenStore: this.tokenStore,
+            serverStatus: this.serverStatus
+        });
+
+        session.on('update', () => this.updateEmbed(session));
+        let scoreboardEmbedAt = 0;
+        session.on('scoreboard', () => {
+            if (Date.now() - scoreboardEmbedAt < SCOREBOARD_EMBED_INTERVAL) return;
+            scoreboardEmbedAt = Date.now();
+            this.updateEmbed(session);
+        });
+        session.on('authCode', () => this.showAuthCode(session));
+        session.on('authExpired', () => this.showAuthExpired(session));
+        session.on('reconnectStopped', (info) => {
+            this.showReconnectStopped(session, info);
+            this.webhooks.notify('reconnectStopped', session.id, info);
+        });
+        session.on('authCode', (info) => this.webhooks.notify('authRequired', session.id, info));
+        session.on('disconnected', (info) => {
+            if (info.type === 'kicked') {
+                this.webhooks.notify('kicked', session.id, { reason: info.reason, world: info.world, whileConnected: info.connected });
+            }
+        });
+        session.on('login', async () => {
+            if (session.authMessage) {
+                try {
+                    await session.authMessage.delete();
+                    authLog.info(`🗑️  [${session.id}] Authentication message cleaned up`);
+                    session.authMessage = null;
+                } catch (error) {
+                    discordLog.error('⚠️  Failed to clean up auth message:', error);
+                }
+            }
+        });
+
+        this.chatRelay.attach(session);
+        this.shardTracker.attach(session);
+        this.sessionHistory.attach(session);
+        this.antiAfk.attach(session);
+        this.healthGuard.attach(session);
+        this.playerRadar.attach(session);
+        this.eventStream.attach(session);
+        session.on('chat', ({ text }) => this.handleWhisper(session, text));
+        session.on('chat', ({ text }) => this.handleAlerts(session, text));
+
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    // Resolve an account selector to a session. Without a selector the only
+    // session is used; with several accounts the caller has to pick one.
+    resolveSession(selector) {
+        if (selector) {
+            return this.sessions.get(selector) || null;
+        }
+        if (this.sessions.size === 1) {
+            return this.sessions.values().next().value;
+        }
+        return null;
+    }
+
+    getSessionError(selector) {
+        if (selector) {
+            return `Unknown account "${selector}". Available: ${[...this.sessions.keys()].join(', ')}`;
+        }
+        return `Multiple accounts are configured, please choose one of: ${[...this.sessions.keys()].join(', ')}`;
+    }
+
     async start() {
         try {
             // Start Discord bot first
             await this.discordClient.login(CONFIG.discord.token);
-            console.log('✅ Discord bot connected successfully!');
+            discordLog.info('✅ Discord bot connected successfully!');
 
             // Start periodic status updates every 30 seconds
             this.statusUpdateInterval = setInterval(() => {
-                if (this.isConnected && this.minecraftBot) {
-                    this.updatePositionInfo();
-                    this.updateEmbed();
+                for (const session of this.sessions.values()) {
+                    if (session.isConnected && session.minecraftBot) {
+                        session.updatePositionInfo();
+                        this.updateEmbed(session);
+                    }
                 }
             }, 30000);
 
+            // Keep cached Microsoft tokens fresh, even for accounts that are offline
+            this.tokenRefreshInterval = setInterval(() => {
+                for (const session of this.sessions.values()) {
+                    session.refreshTokenIfNeeded();
+                }
+            }, CONFIG.auth.refreshInterval);
+
+            this.shardTracker.start();
+            this.sessionHistory.start();
+            this.autoDeposit.start();
+            this.auctionHouse.start();
+            this.eventStream.start();
+            this.serverStatus.start(() => {
+                for (const session of this.sessions.values()) {
+                    this.updateEmbed(session);
+                }
+            });
+
             // Start web server after Discord bot is ready
             await this.startWebServer();
 
+            // Pick up edits to non-connection settings without a restart
+            configManager.on('reload', () => {
+                logManager.configure(CONFIG.logging);
+                this.setupLogChannel();
+                this.chatRelay.reload();
+                if (JSON.stringify(CONFIG.commands) !== this.customCommandsKey) {
+                    this.setupSlashCommands();
+                    this.registerSlashCommands();
+                }
+                for (const session of this.sessions.values()) {
+                    this.updateEmbed(session);
+                }
+            });
+            configManager.watch();
+
         } catch (error) {
-            console.error('Failed to start services:', error);
+            log.error('Failed to start services:', error);
         }
     }
 
     async startWebServer() {
         this.app = express();
-        
+
         // Middleware
         this.app.use(express.json());
-        this.app.use(express.static('public')); // Serve static files if you have any
+        // Web dashboard, talks to the API below with the same API keys
+        this.app.use('/dashboard', express.static(path.join(__dirname, 'public')));
 
         // Routes
         this.setupWebRoutes();
@@ -105,50 +322,101 @@ class MinecraftDiscordBot {
         return new Promise((resolve, reject) => {
             this.server.listen(CONFIG.webServer.port, CONFIG.webServer.host, (error) => {
                 if (error) {
-                    console.error('Failed to start web server:', error);
+                    webLog.error('Failed to start web server:', error);
                     reject(error);
                 } else {
-                    console.log(`Web server running on http://${CONFIG.webServer.host}:${CONFIG.webServer.port}`);
+                    webLog.info(`Web server running on http://${CONFIG.webServer.host}:${CONFIG.webServer.port}`);
+                    const open = CONFIG.permissions.anonymous.filter(capability => capability !== 'view');
+                    if (open.length > 0) {
+                        webLog.warn(`⚠️  Requests without an API key may use ${open.join(', ')}; set permissions.apiKeys and permissions.anonymous to restrict them`);
+                    }
                     resolve();
                 }
             });
         });
     }
 
+    // Express middleware for routes that need a capability. An unknown key is
+    // rejected outright instead of falling back to the anonymous capabilities.
+    requireCapability(capability, options) {
+        return (req, res, next) => {
+            const access = this.permissions.forRequest(req, options);
+            const action = `${req.method} ${req.path}`;
+            if (!access) {
+                this.permissions.recordDenied('web', `invalid key@${req.ip}`, action, capability);
+                this.auditLog.record({ source: 'web', actor: 'invalid key', ip: req.ip, action, outcome: 'denied' });
+                return res.status(401).json({ success: false, message: 'Invalid API key' });
+            }
+            if (!access.capabilities.has(capability)) {
+                this.permissions.recordDenied('web', `${access.name}@${req.ip}`, action, capability);
+                this.auditLog.record({ source: 'web', actor: access.name, ip: req.ip, action, outcome: 'denied' });
+                return res.status(access.name === 'anonymous' ? 401 : 403).json({
+                    success: false,
+                    message: `${action} needs the ${capability} capability`
+                });
+            }
+            req.access = access;
+            next();
+        };
+    }
+
+    auditWebAction(req, action, session, args = {}) {
+        this.auditLog.record({
+            source: 'web',
+            actor: req.access?.name || 'anonymous',
+            ip: req.ip,
+            action,
+            account: session?.id || null,
+            args
+        });
+    }
+
+    // Account selector for web requests: ?account=, JSON body or /accounts/:account
+    getRequestSession(req, res) {
+        const selector = req.params.account || req.query.account || req.body?.account;
+        const session = this.resolveSession(selector);
+        if (!session) {
+            res.status(selector ? 404 : 400).json({ success: false, message: this.getSessionError(selector) });
+            return null;
+        }
+        return session;
+    }
+
     setupWebRoutes() {
-        // Health check endpoint
+        const allow = (capability, options) => this.requireCapability(capability, options);
+
+        // Health check endpoint, open to monitors so it only reports liveness;
+        // account details are behind /status
         this.app.get('/health', (req, res) => {
+            const sessions = [...this.sessions.values()];
             res.json({
                 status: 'ok',
                 timestamp: new Date().toISOString(),
+                uptime: Math.round(process.uptime()),
                 minecraft: {
-                    connected: this.isConnected,
-                    username: this.minecraftBot?.username || null,
-                    world: this.currentWorld,
-                    coordinates: this.currentCoords
+                    accounts: sessions.length,
+                    connected: sessions.filter(session => session.isConnected).length
                 },
                 discord: {
-                    connected: this.discordClient.readyTimestamp !== null,
-                    username: this.discordClient.user?.tag || null
+                    connected: this.discordClient.readyTimestamp !== null
                 }
             });
         });
 
         // Bot status endpoint
-        this.app.get('/status', (req, res) => {
+        this.app.get('/status', allow('view'), (req, res) => {
+            const selector = req.query.account;
+            let minecraft;
+            if (selector) {
+                const session = this.getRequestSession(req, res);
+                if (!session) return;
+                minecraft = session.getStatus();
+            } else {
+                minecraft = [...this.sessions.values()].map(session => session.getStatus());
+            }
+
             res.json({
-                minecraft: {
-                    connected: this.isConnected,
-                    shouldJoin: this.shouldJoin,
-                    username: this.minecraftBot?.username || null,
-                    server: `${CONFIG.minecraft.host}:${CONFIG.minecraft.port}`,
-                    version: CONFIG.minecraft.version,
-                    world: this.currentWorld,
-                    coordinates: this.currentCoords,
-                    reconnectAttempts: this.reconnectAttempts,
-                    maxReconnectAttempts: this.maxReconnectAttempts,
-                    authRequired: !!(this.authUrl && this.userCode)
-                },
+                minecraft,
                 discord: {
                     connected: this.discordClient.readyTimestamp !== null,
                     username: this.discordClient.user?.tag || null,
@@ -159,46 +427,236 @@ class MinecraftDiscordBot {
             });
         });
 
-        // Control endpoints
-        this.app.post('/connect', async (req, res) => {
-            if (this.isConnected) {
-                return res.json({ success: false, message: 'Bot already connected' });
+        // Recent log entries: ?level=warn&tag=minecraft&limit=100
+        this.app.get('/logs', allow('view'), (req, res) => {
+            const level = req.query.level;
+            if (level && !LEVELS[level]) {
+                return res.status(400).json({ success: false, message: `level must be one of ${Object.keys(LEVELS).join(', ')}` });
+            }
+
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), CONFIG.logging.historySize);
+            res.json({
+                entries: logManager.getEntries({ level, tag: req.query.tag, limit })
+            });
+        });
+
+        // Shard balance history: ?account=&range=7d&format=csv
+        const shardHistoryHandler = (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+
+            const range = req.query.range || '24h';
+            if (!HISTORY_RANGES[range]) {
+                return res.status(400).json({ success: false, message: `range must be one of ${Object.keys(HISTORY_RANGES).join(', ')}` });
+            }
+
+            const since = Date.now() - HISTORY_RANGES[range];
+            const samples = this.shardTracker.history(session.id, since);
+            if (req.query.format === 'csv') {
+                res.type('text/csv').attachment(`shards-${session.id}-${range}.csv`);
+                return res.send(['time,balance', ...samples.map(sample => `${new Date(sample.time).toISOString()},${sample.balance}`)].join('\n') + '\n');
             }
 
-            this.shouldJoin = true;
-            this.reconnectAttempts = 0;
-            await this.connectToMinecraft();
-            
-            res.json({ success: true, message: 'Connection initiated' });
+            res.json({
+                ...this.shardTracker.stats(session.id, HISTORY_RANGES[range]),
+                range,
+                history: samples,
+                sales: {
+                    proceeds: this.auctionHouse.totalProceeds(session.id, since),
+                    entries: this.auctionHouse.sales(session.id, since)
+                }
+            });
+        };
+
+        this.app.get('/shards/history', allow('view'), shardHistoryHandler);
+        this.app.get('/accounts/:account/shards/history', allow('view'), shardHistoryHandler);
+
+        // Session history and online percentages: ?account=&limit=20
+        const sessionsHandler = (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 500);
+            res.json({
+                ...this.sessionHistory.stats(session.id, HISTORY_RANGES),
+                sessions: this.sessionHistory.list({ account: session.id, limit })
+            });
+        };
+
+        this.app.get('/sessions', allow('view'), sessionsHandler);
+        this.app.get('/accounts/:account/sessions', allow('view'), sessionsHandler);
+
+        // Server status ping, ?refresh=true skips the cached result
+        this.app.get('/server', allow('view'), async (req, res) => {
+            const status = await this.serverStatus.check({ maxAge: req.query.refresh === 'true' ? 0 : 10000 });
+            res.json(status);
         });
 
-        this.app.post('/disconnect', async (req, res) => {
-            this.shouldJoin = false;
-            this.reconnectAttempts = 0;
-            
-            if (this.minecraftBot) {
-                this.minecraftBot.quit();
-                this.minecraftBot = null;
+        // Inventory and armor of a connected account
+        const inventoryHandler = (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+
+            if (!session.isConnected || !session.minecraftBot) {
+                return res.status(409).json({ success: false, message: `Account ${session.id} is not connected` });
+            }
+            res.json({ account: session.id, ...getInventory(session.minecraftBot) });
+        };
+
+        this.app.get('/inventory', allow('view'), inventoryHandler);
+        this.app.get('/accounts/:account/inventory', allow('view'), inventoryHandler);
+
+        // Sidebar scoreboard, the last one read when the account is offline
+        const scoreboardHandler = (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+
+            const scoreboard = session.isConnected ? session.refreshScoreboard() : session.lastScoreboard;
+            if (!scoreboard) {
+                return res.status(404).json({ success: false, message: `No scoreboard has been read for ${session.id}` });
             }
-            
-            await this.updateEmbed();
-            res.json({ success: true, message: 'Bot disconnected' });
+            res.json({ account: session.id, connected: session.isConnected, ...scoreboard });
+        };
+
+        this.app.get('/scoreboard', allow('view'), scoreboardHandler);
+        this.app.get('/accounts/:account/scoreboard', allow('view'), scoreboardHandler);
+
+        this.app.get('/accounts', allow('view'), (req, res) => {
+            res.json({
+                accounts: [...this.sessions.values()].map(session => session.getStatus())
+            });
+        });
+
+        this.app.get('/accounts/:account', allow('view'), (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+            res.json(session.getStatus());
         });
 
+        // Control endpoints
+        const connectHandler = async (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+
+            if (session.isConnected) {
+                return res.json({ success: false, message: `Account ${session.id} already connected` });
+            }
+
+            this.auditWebAction(req, 'connect', session);
+            await session.join();
+
+            res.json({ success: true, message: `Connection initiated for ${session.id}` });
+        };
+
+        const disconnectHandler = async (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+
+            this.auditWebAction(req, 'disconnect', session);
+            session.disconnect();
+            res.json({ success: true, message: `Account ${session.id} disconnected` });
+        };
+
         // Send chat message endpoint
-        this.app.post('/chat', (req, res) => {
+        const chatHandler = (req, res) => {
+            const session = this.getRequestSession(req, res);
+            if (!session) return;
+
             const { message } = req.body;
-            
-            if (!this.isConnected || !this.minecraftBot) {
+
+            if (!session.isConnected || !session.minecraftBot) {
                 return res.json({ success: false, message: 'Bot not connected' });
             }
-            
+
             if (!message || typeof message !== 'string') {
                 return res.json({ success: false, message: 'Invalid message' });
             }
 
-            this.minecraftBot.chat(message);
+            this.auditWebAction(req, 'chat', session, { message });
+            session.chat(message);
             res.json({ success: true, message: 'Message sent' });
+        };
+
+        this.app.post('/connect', allow('connect'), connectHandler);
+        this.app.post('/disconnect', allow('connect'), disconnectHandler);
+        this.app.post('/chat', allow('chat'), chatHandler);
+        this.app.post('/accounts/:account/connect', allow('connect'), connectHandler);
+        this.app.post('/accounts/:account/disconnect', allow('connect'), disconnectHandler);
+        this.app.post('/accounts/:account/chat', allow('chat'), chatHandler);
+
+        // Capabilities of the key used for the request
+        this.app.get('/permissions', (req, res) => {
+            const access = this.permissions.forRequest(req);
+            if (!access) {
+                return res.status(401).json({ success: false, message: 'Invalid API key' });
+            }
+            res.json({ name: access.name, capabilities: [...access.capabilities] });
+        });
+
+        // Live feed for the dashboard; EventSource cannot send headers, so ?key= works here too
+        this.app.get('/events', allow('view', { queryKey: true }), (req, res) => this.eventStream.handler(req, res));
+
+        // Outgoing webhooks
+        this.app.get('/webhooks', allow('admin'), (req, res) => {
+            res.json({ enabled: CONFIG.webhooks.enabled, events: WEBHOOK_EVENTS, webhooks: this.webhooks.list() });
+        });
+
+        this.app.get('/webhooks/deliveries', allow('admin'), (req, res) => {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), CONFIG.webhooks.deliveryHistory);
+            res.json({ deliveries: this.webhooks.deliveries({ hookId: req.query.webhook || null, limit }) });
+        });
+
+        this.app.post('/webhooks', allow('admin'), (req, res) => {
+            const { url, events, secret } = req.body || {};
+            try {
+                const hook = this.webhooks.add({ url, events, secret, createdBy: req.access.name });
+                this.auditWebAction(req, 'webhook add', null, { id: hook.id, events: hook.events.join(',') });
+                res.status(201).json({ success: true, webhook: hook });
+            } catch (error) {
+                res.status(400).json({ success: false, message: error.message });
+            }
+        });
+
+        this.app.patch('/webhooks/:id', allow('admin'), (req, res) => {
+            const { url, events, enabled } = req.body || {};
+            try {
+                const hook = this.webhooks.update(req.params.id, { url, events, enabled });
+                this.auditWebAction(req, 'webhook update', null, { id: hook.id, enabled: hook.enabled, events: hook.events.join(',') });
+                res.json({ success: true, webhook: hook });
+            } catch (error) {
+                res.status(/does not exist/.test(error.message) ? 404 : 400).json({ success: false, message: error.message });
+            }
+        });
+
+        this.app.delete('/webhooks/:id', allow('admin'), (req, res) => {
+            try {
+                this.webhooks.remove(req.params.id);
+                this.auditWebAction(req, 'webhook remove', null, { id: req.params.id });
+                res.json({ success: true });
+            } catch (error) {
+                res.status(404).json({ success: false, message: error.message });
+            }
+        });
+
+        this.app.post('/webhooks/:id/test', allow('admin'), async (req, res) => {
+            try {
+                const delivery = await this.webhooks.test(req.params.id);
+                this.auditWebAction(req, 'webhook test', null, { id: req.params.id });
+                res.json({ success: delivery.status === 'delivered', delivery });
+            } catch (error) {
+                res.status(404).json({ success: false, message: error.message });
+            }
+        });
+
+        // Control actions, newest first
+        this.app.get('/audit', allow('admin'), (req, res) => {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+            res.json({ entries: this.auditLog.list({ actor: req.query.actor || null, limit }) });
+        });
+
+        this.app.get('/permissions/denied', allow('admin'), (req, res) => {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), CONFIG.permissions.deniedHistory);
+            res.json({ denied: this.permissions.denied(limit) });
         });
 
         // Root endpoint with basic info
@@ -208,23 +666,46 @@ class MinecraftDiscordBot {
                 version: '1.0.0',
                 endpoints: {
                     'GET /': 'This endpoint',
-                    'GET /health': 'Health check',
-                    'GET /status': 'Detailed bot status',
-                    'POST /connect': 'Connect to Minecraft server',
-                    'POST /disconnect': 'Disconnect from Minecraft server',
-                    'POST /chat': 'Send chat message (requires {message: "text"})'
+                    'GET /health': 'Liveness check with connected account count (no key needed)',
+                    'GET /status': 'Detailed bot status (optional ?account=)',
+                    'GET /logs': 'Recent log entries (optional ?level=, ?tag=, ?limit=)',
+                    'GET /accounts': 'List configured accounts',
+                    'GET /accounts/:account': 'Status of one account',
+                    'GET /inventory': 'Inventory and armor of a connected account (optional ?account=)',
+                    'GET /scoreboard': 'Sidebar scoreboard lines and key/value pairs (optional ?account=)',
+                    'GET /server': 'Server status ping: MOTD, players, version and latency (optional ?refresh=true)',
+                    'GET /sessions': 'Session history, online percentage and kick reasons (optional ?account=, ?limit=)',
+                    'GET /shards/history': 'Shard balance history and earnings rate (optional ?account=, ?range=24h|7d|30d, ?format=csv)',
+                    'POST /connect': 'Connect to Minecraft server (requires {account} with several accounts)',
+                    'POST /disconnect': 'Disconnect from Minecraft server (requires {account} with several accounts)',
+                    'POST /chat': 'Send chat message (requires {message: "text"})',
+                    'POST /accounts/:account/{connect,disconnect,chat}': 'Per-account control',
+                    'GET /dashboard': 'Web dashboard with live status, chat and controls',
+                    'GET /events': 'Server-Sent Events: snapshot, status, chat and notice (optional ?key=)',
+                    'GET /webhooks': 'Outgoing webhooks and the events they can receive (admin)',
+                    'POST /webhooks': 'Add a webhook {url, events?, secret?}; the response holds the signing secret (admin)',
+                    'PATCH /webhooks/:id': 'Change {url, events, enabled} of a webhook (admin)',
+                    'DELETE /webhooks/:id': 'Remove a webhook (admin)',
+                    'POST /webhooks/:id/test': 'Send a test event (admin)',
+                    'GET /webhooks/deliveries': 'Delivery log (admin, optional ?webhook=, ?limit=)',
+                    'GET /audit': 'Audit log of control actions (admin, optional ?actor=name or Discord id, ?limit=)',
+                    'GET /permissions': 'Capabilities of the API key used (Authorization: Bearer <key> or X-API-Key)',
+                    'GET /permissions/denied': 'Recent denied Discord and web attempts (admin, optional ?limit=)'
                 },
                 minecraft: {
                     server: `${CONFIG.minecraft.host}:${CONFIG.minecraft.port}`,
                     version: CONFIG.minecraft.version,
-                    connected: this.isConnected
+                    accounts: [...this.sessions.values()].map(session => ({
+                        account: session.id,
+                        connected: session.isConnected
+                    }))
                 }
             });
         });
 
         // Error handling middleware
         this.app.use((error, req, res, next) => {
-            console.error('Web server error:', error);
+            webLog.error('Web server error:', error);
             res.status(500).json({
                 success: false,
                 message: 'Internal server error',
@@ -237,30 +718,52 @@ class MinecraftDiscordBot {
             res.status(404).json({
                 success: false,
                 message: 'Endpoint not found',
-                availableEndpoints: ['/', '/health', '/status', '/connect', '/disconnect', '/chat']
+                availableEndpoints: ['/', '/dashboard', '/events', '/health', '/status', '/logs', '/accounts', '/inventory', '/scoreboard', '/server', '/sessions', '/shards/history', '/webhooks', '/audit', '/permissions', '/connect', '/disconnect', '/chat']
             });
         });
     }
 
     setupDiscordEvents() {
         this.discordClient.once('ready', async () => {
-            console.log(`Logged in as ${this.discordClient.user.tag}`);
+            discordLog.info(`Logged in as ${this.discordClient.user.tag}`);
             await this.registerSlashCommands();
-            await this.setupControlMessage();
+            await this.setupControlMessages();
+            await this.setupLogChannel();
+            this.chatRelay.start();
+        });
+
+        this.discordClient.on('messageCreate', async (message) => {
+            try {
+                await this.chatRelay.handleDiscordMessage(message);
+            } catch (error) {
+                discordLog.error('Error relaying Discord message:', error);
+            }
         });
 
         this.discordClient.on('messageReactionAdd', async (reaction, user) => {
             if (user.bot) return;
-            if (reaction.message.id !== this.controlMessage?.id) return;
+
+            const session = [...this.sessions.values()]
+                .find(candidate => candidate.controlMessage?.id === reaction.message.id);
+            if (!session) return;
+
+            if (['✅', '❌'].includes(reaction.emoji.name)) {
+                const member = await reaction.message.guild?.members.fetch(user.id).catch(() => null);
+                const audit = { source: 'reaction', account: session.id };
+                const action = reaction.emoji.name === '✅' ? 'connect' : 'disconnect';
+                if (!this.checkDiscordPermission(user, member, 'connect', action, audit)) {
+                    await reaction.users.remove(user.id);
+                    return;
+                }
+                this.auditLog.record({ ...audit, actor: user.tag, actorId: user.id, action });
+            }
 
             if (reaction.emoji.name === '✅') {
-                this.shouldJoin = true;
-                this.lastAuthUser = user;
-                this.reconnectAttempts = 0;
+                session.lastAuthUser = user;
 
                 const authEmbed = new EmbedBuilder()
                     .setTitle('🔐 Microsoft Authentication Required')
-                    .setDescription(`${user}, please authenticate to connect the Minecraft bot.`)
+                    .setDescription(`${user}, please authenticate to connect the Minecraft bot **${session.id}**.`)
                     .addFields(
                         { name: '🔗 Authentication Link', value: '[Click here to authenticate](https://www.microsoft.com/link)', inline: false },
                         { name: '⏳ Status', value: 'Waiting for authentication code...', inline: false }
@@ -268,26 +771,25 @@ class MinecraftDiscordBot {
                     .setColor('#ff9900')
                     .setTimestamp();
 
-                this.authMessage = await reaction.message.channel.send({ embeds: [authEmbed] });
-                console.log('🔐 Authentication message sent to Discord channel');
+                const tokenInfo = session.getTokenInfo();
+                if (tokenInfo) {
+                    authEmbed.addFields({ name: '🎟️ Cached Token', value: this.getTokenText(tokenInfo), inline: false });
+                }
+
+                session.authMessage = await reaction.message.channel.send({ embeds: [authEmbed] });
+                authLog.info(`🔐 [${session.id}] Authentication message sent to Discord channel`);
 
                 setTimeout(() => {
-                    if (this.authMessage && !this.isConnected) {
-                        console.log('🔍 Checking for authentication completion...');
-                        this.forceCheckAuthCode();
+                    if (session.authMessage && !session.isConnected) {
+                        authLog.debug(`🔍 [${session.id}] Checking for authentication completion...`);
+                        this.forceCheckAuthCode(session);
                     }
                 }, 3000);
 
-                await this.connectToMinecraft();
+                session.join().catch(error => discordLog.error(`Failed to connect ${session.id}:`, error));
 
             } else if (reaction.emoji.name === '❌') {
-                this.shouldJoin = false;
-                this.reconnectAttempts = 0;
-                if (this.minecraftBot) {
-                    this.minecraftBot.quit();
-                    this.minecraftBot = null;
-                }
-                await this.updateEmbed();
+                session.disconnect();
             }
 
             await reaction.users.remove(user.id);
@@ -295,23 +797,63 @@ class MinecraftDiscordBot {
 
         // Handle slash commands
         this.discordClient.on('interactionCreate', async (interaction) => {
+            if (interaction.isAutocomplete()) {
+                // Suggestions list accounts and items, so they need view as well
+                if (!this.permissions.forDiscord(interaction.user.id, interaction.member).has('view')) {
+                    await interaction.respond([]);
+                    return;
+                }
+                await this.handleAutocomplete(interaction);
+                return;
+            }
+
+            if (interaction.isButton() || interaction.isModalSubmit()) {
+                // Inbox replies are the only components and they send messages in game
+                if (!this.checkDiscordPermission(interaction.user, interaction.member, 'chat', 'inbox reply', { source: 'button' })) {
+                    await interaction.reply({ content: '🚫 You need the **chat** permission to reply.', ephemeral: true });
+                    return;
+                }
+                try {
+                    await this.handleComponentInteraction(interaction);
+                } catch (error) {
+                    discordLog.error('Error handling component interaction:', error);
+                }
+                return;
+            }
+
             if (!interaction.isChatInputCommand()) return;
 
             // Check if command is used in the correct channel
             if (interaction.channelId !== CONFIG.discord.channelId) {
-                await interaction.reply({ 
-                    content: '❌ This bot can only be used in the designated channel!', 
-                    ephemeral: true 
+                await interaction.reply({
+                    content: '❌ This bot can only be used in the designated channel!',
+                    ephemeral: true
                 });
                 return;
             }
 
+            const subcommand = interaction.options.getSubcommand(false);
+            const capability = this.getCommandCapability(interaction.commandName, subcommand);
+            const action = `/${interaction.commandName}${subcommand ? ` ${subcommand}` : ''}`;
+            const audit = {
+                source: 'slash',
+                account: this.resolveSession(interaction.options.getString('account'))?.id || null,
+                args: this.getCommandArgs(interaction)
+            };
+            if (!this.checkDiscordPermission(interaction.user, interaction.member, capability, action, audit)) {
+                await interaction.reply({ content: `🚫 You need the **${capability}** permission for ${action}.`, ephemeral: true });
+                return;
+            }
+
+            const actor = { actor: interaction.user.tag, actorId: interaction.user.id, action };
             try {
                 await this.handleSlashCommand(interaction);
+                this.auditLog.record({ ...audit, ...actor });
             } catch (error) {
-                console.error('Error handling slash command:', error);
+                this.auditLog.record({ ...audit, ...actor, outcome: 'error' });
+                discordLog.error(`Error handling /${interaction.commandName}:`, error);
                 const errorMessage = 'There was an error while executing this command!';
-                
+
                 if (interaction.replied || interaction.deferred) {
                     await interaction.followUp({ content: errorMessage, ephemeral: true });
                 } else {
@@ -321,419 +863,1001 @@ class MinecraftDiscordBot {
         });
     }
 
-    async setupControlMessage() {
-        const channel = await this.discordClient.channels.fetch(CONFIG.discord.channelId);
-        if (!channel) {
-            console.error('Control channel not found!');
+    // Buttons and modals, routed by the prefix of their custom id
+    async handleComponentInteraction(interaction) {
+        const [kind, accountId, player] = interaction.customId.split(':');
+
+        if (kind === 'inbox-reply' && interaction.isButton()) {
+            const modal = new ModalBuilder()
+                .setCustomId(`inbox-send:${accountId}:${player}`)
+                .setTitle(`Reply to ${player}`)
+                .addComponents(new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId('text')
+                        .setLabel(`Message sent as ${accountId}`)
+                        .setStyle(TextInputStyle.Paragraph)
+                        .setMaxLength(200)
+                        .setRequired(true)
+                ));
+            await interaction.showModal(modal);
             return;
         }
 
-        const embed = this.createEmbed();
-        this.controlMessage = await channel.send({ embeds: [embed] });
+        if (kind === 'inbox-send' && interaction.isModalSubmit()) {
+            await this.sendPrivateMessage(interaction, accountId, player, interaction.fields.getTextInputValue('text'));
+        }
+    }
+
+    async sendPrivateMessage(interaction, accountId, player, text) {
+        const session = this.sessions.get(accountId);
+        const message = text.replace(/\s+/g, ' ').trim();
+
+        if (!session || !session.isConnected) {
+            await interaction.reply({ content: `❌ ${accountId} is not connected to the Minecraft server!`, ephemeral: true });
+            return;
+        }
+        if (!PLAYER_NAME.test(player) || !message) {
+            await interaction.reply({ content: '❌ Invalid player name or empty message.', ephemeral: true });
+            return;
+        }
 
-        await this.controlMessage.react('✅');
-        await this.controlMessage.react('❌');
+        session.chat(`/msg ${player} ${message}`);
+        this.auditLog.record({
+            source: 'button',
+            actor: interaction.user.tag,
+            actorId: interaction.user.id,
+            action: 'inbox reply',
+            account: session.id,
+            args: { player, message }
+        });
+        discordLog.info(`✉️ [${session.id}] ${interaction.user.tag} replied to ${player}: ${message}`);
+        await interaction.reply({ content: `✉️ Sent to **${player}** as ${session.id}: ${message}`, ephemeral: true });
     }
 
-    createEmbed() {
+    // Forward whispers to Discord and keep them for /inbox
+    async handleWhisper(session, text) {
+        if (!CONFIG.inbox.enabled) return;
+
+        const whisper = this.inbox.parse(text);
+        if (!whisper) return;
+
+        const entry = this.inbox.add(session.id, whisper.player, whisper.message);
+        discordLog.info(`✉️ [${session.id}] PM from ${whisper.player}: ${whisper.message}`);
+
         const embed = new EmbedBuilder()
-            .setTitle('🎮 Minecraft Bot Controller')
-            .setColor(this.isConnected ? '#00ff00' : '#ff0000')
+            .setTitle(`✉️ Private Message — ${session.id}`)
+            .setColor('#5865f2')
             .addFields(
-                { name: '🖥️ Server', value: `${CONFIG.minecraft.host}:${CONFIG.minecraft.port}`, inline: true },
-                { name: '📦 Version', value: CONFIG.minecraft.version, inline: true },
-                { name: '🔐 Auth', value: CONFIG.minecraft.auth, inline: true },
-                { name: '🔗 Status', value: this.getStatusText(), inline: false },
-                { name: '🌐 Web Server', value: `Running on port ${CONFIG.webServer.port}`, inline: false }
-            );
+                { name: '👤 From', value: whisper.player, inline: true },
+                { name: '🎮 To', value: session.displayName, inline: true },
+                { name: '💬 Message', value: whisper.message.substring(0, 1024), inline: false }
+            )
+            .setTimestamp(entry.time);
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`inbox-reply:${session.id}:${whisper.player}`)
+                .setLabel('Reply')
+                .setEmoji('↩️')
+                .setStyle(ButtonStyle.Primary)
+        );
 
-        if (this.isConnected && this.minecraftBot) {
-            embed.addFields(
-                { name: '🌍 World', value: this.currentWorld, inline: true },
-                { name: '📍 Coordinates', value: `X: ${Math.round(this.currentCoords.x)}, Y: ${Math.round(this.currentCoords.y)}, Z: ${Math.round(this.currentCoords.z)}`, inline: true },
-                { name: '👤 Username', value: this.minecraftBot.username || 'Unknown', inline: true }
-            );
+        try {
+            const channel = await this.discordClient.channels.fetch(CONFIG.inbox.channelId || CONFIG.discord.channelId);
+            await channel.send({ embeds: [embed], components: [row] });
+        } catch (error) {
+            discordLog.error('Failed to forward private message:', error.message);
         }
+    }
 
-        if (this.reconnectAttempts > 0 && this.shouldJoin) {
-            embed.addFields({
-                name: '🔄 Auto-Reconnect',
-                value: `Attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}`,
-                inline: false
-            });
-        }
+    // Ping the targets of every alert rule matching a chat line
+    async handleAlerts(session, text) {
+        const rules = this.alertRules.evaluate(session.id, session.minecraftBot?.username, text);
+        if (rules.length === 0) return;
 
-        embed.setTimestamp()
-            .setFooter({ text: '✅ Join Server | ❌ Leave Server' });
+        const embed = new EmbedBuilder()
+            .setTitle(`🚨 Chat Alert — ${session.id}`)
+            .setColor('#e67e22')
+            .setDescription(text.substring(0, 4000))
+            .addFields({ name: '📋 Matched', value: rules.map(rule => `\`${rule.pattern}\` (${rule.id})`).join(', ').substring(0, 1024), inline: false })
+            .setTimestamp();
 
-        if (this.authUrl && this.userCode) {
-            embed.addFields({
-                name: '🔑 Microsoft Authentication Required',
-                value: `Please visit: [${this.authUrl}](${this.authUrl})\nAnd enter code: \`${this.userCode}\``,
-                inline: false
+        try {
+            const channel = await this.discordClient.channels.fetch(CONFIG.alerts.channelId || CONFIG.discord.channelId);
+            await channel.send({
+                content: [...new Set(rules.map(describeTarget))].join(' '),
+                embeds: [embed],
+                allowedMentions: {
+                    roles: rules.filter(rule => rule.targetType === 'role').map(rule => rule.targetId),
+                    users: rules.filter(rule => rule.targetType === 'user').map(rule => rule.targetId)
+                }
             });
+        } catch (error) {
+            discordLog.error('Failed to send chat alert:', error.message);
         }
-
-        return embed;
     }
 
-    getStatusText() {
-        if (this.authUrl && this.userCode) {
-            return '⏳ Waiting for Microsoft authentication...';
+    // Suggest configured account ids for the "account" option
+    async handleAutocomplete(interaction) {
+        const option = interaction.options.getFocused(true);
+        if (option.name === 'item') {
+            await this.handleItemAutocomplete(interaction, option.value.toLowerCase());
+            return;
         }
-        if (this.isConnected && this.minecraftBot) {
-            return `✅ Connected as ${this.minecraftBot.username}`;
+        if (option.name === 'webhook') {
+            // Ids and events only, URLs can carry tokens
+            const choices = this.webhooks.list()
+                .filter(hook => hook.id.includes(option.value.toLowerCase()))
+                .slice(0, 25)
+                .map(hook => ({ name: `${hook.id} (${hook.events.join(', ')})${hook.enabled ? '' : ' [disabled]'}`.substring(0, 100), value: hook.id }));
+            await interaction.respond(choices).catch(error => discordLog.error('Failed to respond to autocomplete:', error));
+            return;
         }
-        if (this.shouldJoin && !this.isConnected) {
-            if (this.reconnectAttempts > 0) {
-                return `🔄 Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`;
-            }
-            return '⏳ Connecting...';
+
+        const focused = option.value.toLowerCase();
+        const choices = [...this.sessions.values()]
+            .filter(session => session.id.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(session => ({ name: `${session.id} (${session.isConnected ? 'online' : 'offline'})`, value: session.id }));
+
+        try {
+            await interaction.respond(choices);
+        } catch (error) {
+            discordLog.error('Failed to respond to autocomplete:', error);
         }
-        return '❌ Disconnected';
     }
 
-    updatePositionInfo() {
-        if (this.minecraftBot && this.minecraftBot.entity && this.minecraftBot.entity.position) {
-            this.currentCoords = {
-                x: this.minecraftBot.entity.position.x,
-                y: this.minecraftBot.entity.position.y,
-                z: this.minecraftBot.entity.position.z
-            };
+    // Suggest items from the selected account's inventory
+    async handleItemAutocomplete(interaction, focused) {
+        const session = this.resolveSession(interaction.options.getString('account'));
+        const bot = session?.isConnected ? session.minecraftBot : null;
+
+        const names = new Map();
+        for (const item of bot ? bot.inventory.items() : []) {
+            names.set(item.name, { name: item.displayName, count: (names.get(item.name)?.count || 0) + item.count });
+        }
+
+        const choices = [...names.entries()]
+            .filter(([name, info]) => name.includes(focused) || info.name.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(([name, info]) => ({ name: `${info.name} ×${info.count}`, value: name }));
+
+        try {
+            await interaction.respond(choices);
+        } catch (error) {
+            discordLog.error('Failed to respond to autocomplete:', error);
         }
     }
 
-    async attemptReconnect() {
-        if (!this.shouldJoin) {
-            console.log('[RECONNECT] Reconnection cancelled - shouldJoin is false');
+    // Forward warnings and errors to the optional log channel in batches
+    async setupLogChannel() {
+        const { discordChannelId, discordLevel } = CONFIG.logging;
+        if (!discordChannelId) {
+            logManager.detachDiscord();
             return;
         }
 
-        if (this.isConnecting) {
-            console.log('[RECONNECT] Connection already in progress, skipping');
-            return;
+        try {
+            const channel = await this.discordClient.channels.fetch(discordChannelId);
+            logManager.attachDiscord(text => channel.send({ content: `\`\`\`\n${text}\n\`\`\`` }), discordLevel);
+        } catch (error) {
+            logManager.detachDiscord();
+            discordLog.error('Log channel not found:', error.message);
         }
+    }
 
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.log('[RECONNECT] Max reconnection attempts reached');
-            this.shouldJoin = false;
-            await this.updateEmbed();
+    async setupControlMessages() {
+        const channel = await this.discordClient.channels.fetch(CONFIG.discord.channelId);
+        if (!channel) {
+            discordLog.error('Control channel not found!');
             return;
         }
 
-        this.reconnectAttempts++;
-        console.log(`[RECONNECT] Attempting reconnection ${this.reconnectAttempts}/${this.maxReconnectAttempts}`);
-
-        await this.updateEmbed();
+        // One control message per account so reactions map to a single session
+        for (const session of this.sessions.values()) {
+            const embed = this.createEmbed(session);
+            session.controlMessage = await channel.send({ embeds: [embed] });
 
-        // Add longer delay between reconnect attempts to avoid "already online" issues
-        const delay = this.reconnectDelay * this.reconnectAttempts; // Exponential backoff
-        console.log(`[RECONNECT] Waiting ${delay}ms before next attempt`);
-
-        setTimeout(async () => {
-            if (this.shouldJoin && !this.isConnected && !this.isConnecting) {
-                await this.connectToMinecraft();
-            }
-        }, delay);
+            await session.controlMessage.react('✅');
+            await session.controlMessage.react('❌');
+        }
     }
 
-    async connectToMinecraft() {
-        if (this.isConnecting) {
-            console.log('🎮 Connection already in progress, skipping...');
-            return;
+    createEmbed(session) {
+        const embed = new EmbedBuilder()
+            .setTitle(`🎮 Minecraft Bot Controller — ${session.id}`)
+            .setColor(session.isConnected ? '#00ff00' : '#ff0000')
+            .addFields(
+                { name: '🖥️ Server', value: `${CONFIG.minecraft.host}:${CONFIG.minecraft.port}`, inline: true },
+                { name: '📦 Version', value: CONFIG.minecraft.version, inline: true },
+                { name: '🔐 Auth', value: CONFIG.minecraft.auth, inline: true },
+                { name: '🔗 Status', value: session.getStatusText(), inline: false },
+                { name: '🌐 Web Server', value: `Running on port ${CONFIG.webServer.port}`, inline: false }
+            );
+
+        const tokenInfo = session.getTokenInfo();
+        if (tokenInfo) {
+            embed.addFields({ name: '🎟️ Cached Token', value: this.getTokenText(tokenInfo), inline: false });
         }
 
-        if (this.minecraftBot) {
-            this.minecraftBot.quit();
+        const ping = this.serverStatus.last;
+        if (ping) {
+            embed.addFields({ name: '📡 Server Ping', value: this.getPingText(ping), inline: false });
+            if (ping.versionMismatch) {
+                embed.addFields({ name: '⚠️ Version Mismatch', value: this.getVersionMismatchText(ping), inline: false });
+            }
         }
 
-        try {
-            this.isConnecting = true;
-            console.log('🎮 Connecting to Minecraft server...');
-            await this.updateEmbed();
+        if (session.isConnected && session.minecraftBot) {
+            embed.addFields(
+                { name: '🌍 World', value: session.currentWorld, inline: true },
+                { name: '📍 Coordinates', value: this.formatCoords(session.currentCoords), inline: true },
+                { name: '👤 Username', value: session.minecraftBot.username || 'Unknown', inline: true },
+                { name: '❤️ Health / 🍗 Food', value: this.formatVitals(session.minecraftBot), inline: true }
+            );
+        }
 
-            this.setupConsoleCapture();
+        if (session.isConnected && session.lastScoreboard) {
+            embed.addFields({ name: `📋 ${session.lastScoreboard.title || 'Scoreboard'}`, value: this.formatScoreboard(session.lastScoreboard), inline: false });
+        }
 
-            if (process.env.NODE_ENV === 'production' || process.env.RENDER) {
-                console.log('Production environment detected - attempting to handle auth differently');
-                if (process.env.MC_ACCESS_TOKEN && process.env.MC_REFRESH_TOKEN) {
-                    console.log('Using stored authentication tokens for production');
-                } else {
-                    console.log('No stored authentication tokens found. Bot will need manual authentication.');
-                    console.log('Available env vars:', Object.keys(process.env).filter(key => key.startsWith('MC_') || key.includes('TOKEN')));
-                }
-            }
+        const antiAfk = this.antiAfk.getStatus(session);
+        if (antiAfk.enabled) {
+            embed.addFields({ name: '🕹️ Anti-AFK', value: `On (${antiAfk.actions.join(', ')})`, inline: true });
+        }
 
-            this.minecraftBot = mineflayer.createBot({
-                host: CONFIG.minecraft.host,
-                port: CONFIG.minecraft.port,
-                version: CONFIG.minecraft.version,
-                auth: CONFIG.minecraft.auth
+        if (session.reconnectAttempts > 0 && session.shouldJoin) {
+            const next = session.nextReconnectAt ? `, next try <t:${Math.floor(session.nextReconnectAt / 1000)}:R>` : '';
+            embed.addFields({
+                name: '🔄 Auto-Reconnect',
+                value: `Attempt ${session.reconnectAttempts}/${session.maxReconnectAttempts}${next}`,
+                inline: false
             });
+        }
 
-            this.setupMinecraftEvents();
+        if (session.lastDisconnect && !session.isConnected) {
+            embed.addFields({
+                name: '🔌 Last Disconnect',
+                value: `${session.lastDisconnect.name} (${session.lastDisconnect.type}): ${escapeMarkdown(session.lastDisconnect.reason).substring(0, 900)}`,
+                inline: false
+            });
+        }
 
-            this.authCheckTimeout = setTimeout(() => {
-                if (!this.authMessageSent && !this.isConnected) {
-                    console.log('[DEBUG] No authentication message detected after 5 seconds - checking connection status');
-                    if (this.isConnected) {
-                        console.log('[DEBUG] Bot connected without authentication prompt - using cached login');
-                    } else {
-                        console.log('[DEBUG] Bot still not connected - may need manual authentication');
-                    }
-                }
-            }, 5000);
+        embed.setTimestamp()
+            .setFooter({ text: `Account: ${session.id} | ✅ Join Server | ❌ Leave Server` });
 
-        } catch (error) {
-            console.error('Failed to connect to Minecraft:', error);
-            this.isConnecting = false;
-            if (this.shouldJoin) {
-                console.log('[RECONNECT] Connection failed, attempting reconnect...');
-                await this.attemptReconnect();
-            } else {
-                await this.updateEmbed();
-            }
+        if (session.authUrl && session.userCode) {
+            embed.addFields({
+                name: '🔑 Microsoft Authentication Required',
+                value: `Please visit: [${session.authUrl}](${session.authUrl})\nAnd enter code: \`${session.userCode}\`\nExpires <t:${Math.floor(session.authExpiresAt / 1000)}:R>`,
+                inline: false
+            });
+        } else if (session.authExpired) {
+            embed.addFields({
+                name: '⌛ Sign-in Code Expired',
+                value: 'React ✅ to request a new code',
+                inline: false
+            });
         }
-    }
 
-    setupConsoleCapture() {
-        // Simplified console capture for auth detection only
-        if (!this.originalStderrWrite) {
-            this.originalStderrWrite = process.stderr.write;
-            process.stderr.write = (chunk, encoding, callback) => {
-                const message = chunk.toString();
+        return embed;
+    }
 
-                // Only capture auth messages, suppress debug spam
-                if (message.includes('microsoft.com/link') && message.includes('use the code')) {
-                    this.extractAuthDetails(message);
-                } else if (message.includes('Chunk size') || message.includes('partial packet')) {
-                    // Suppress these debug messages completely
-                    return true;
-                }
+    // Reconnecting gave up, e.g. after a ban; ping someone so it does not go unnoticed
+    async showReconnectStopped(session, { class: reconnectClass, type, reason, attempts }) {
+        const roleId = CONFIG.reconnect.alertRoleId;
+        const embed = new EmbedBuilder()
+            .setTitle(`⛔ Reconnecting Stopped — ${session.id}`)
+            .setColor('#ff0000')
+            .setDescription(reconnectClass === 'maxAttempts'
+                ? `Gave up after ${attempts} reconnection attempts.`
+                : 'The server gave a reason that retrying will not fix.')
+            .addFields(
+                { name: '🏷️ Class', value: reconnectClass, inline: true },
+                { name: '📡 Event', value: type, inline: true },
+                { name: '📋 Reason', value: escapeMarkdown(reason).substring(0, 1024), inline: false }
+            )
+            .setFooter({ text: 'React ✅ on the control message to try again' })
+            .setTimestamp();
 
-                return this.originalStderrWrite.call(process.stderr, chunk, encoding, callback);
-            };
+        try {
+            const channel = await this.discordClient.channels.fetch(CONFIG.alerts.channelId || CONFIG.discord.channelId);
+            await channel.send({
+                content: roleId ? `<@&${roleId}>` : undefined,
+                embeds: [embed],
+                allowedMentions: { roles: roleId ? [roleId] : [] }
+            });
+        } catch (error) {
+            discordLog.error('Failed to send reconnect alert:', error.message);
         }
+    }
 
-        if (!this.originalStdoutWrite) {
-            this.originalStdoutWrite = process.stdout.write;
-            process.stdout.write = (chunk, encoding, callback) => {
-                const message = chunk.toString();
-
-                // Only capture auth messages, suppress debug spam
-                if (message.includes('microsoft.com/link') && message.includes('use the code')) {
-                    this.extractAuthDetails(message);
-                } else if (message.includes('Chunk size') || message.includes('partial packet')) {
-                    // Suppress these debug messages completely
-                    return true;
-                }
-
-                return this.originalStdoutWrite.call(process.stdout, chunk, encoding, callback);
-            };
+    getPingText(ping) {
+        if (!ping.online) {
+            return `🔴 Unreachable (${ping.error}) <t:${Math.floor(ping.checkedAt / 1000)}:R>`;
         }
+        return `🟢 ${ping.players.online}/${ping.players.max} players · ${ping.latency}ms · ${ping.version.name} <t:${Math.floor(ping.checkedAt / 1000)}:R>`;
     }
 
-    async forceCheckAuthCode() {
-        return;
+    getVersionMismatchText(ping) {
+        return `Server reports **${ping.version.name}** (protocol ${ping.version.protocol}) but **${ping.configuredVersion}**`
+            + ` (protocol ${ping.expectedProtocol}) is configured. Update minecraft.version if logins fail.`;
     }
 
-    setupMinecraftEvents() {
-        this.minecraftBot.on('login', async () => {
-            console.log('✅ Successfully connected to Minecraft server!');
-            this.isConnected = true;
-            this.isConnecting = false;
-            this.authUrl = null;
-            this.userCode = null;
-            this.authMessageSent = false;
-            this.reconnectAttempts = 0;
+    // Damage, low health, death and emergency quits from the health guard
+    async showHealthAlert(session, info) {
+        const titles = {
+            damage: '💥 Taking Damage',
+            lowHealth: '❤️ Low Health',
+            death: '💀 Bot Died',
+            noFood: '🍗 Out of Food',
+            emergency: info.rejoin ? '🚨 Emergency Quit, Rejoining Later' : '🚨 Emergency Quit, Staying Offline'
+        };
 
-            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
-                this.currentWorld = this.minecraftBot.game.dimension;
-            }
+        const embed = new EmbedBuilder()
+            .setTitle(`${titles[info.kind] || '⚠️ Health Alert'} — ${session.id}`)
+            .setColor(info.kind === 'damage' || info.kind === 'noFood' ? '#ffa500' : '#ff0000')
+            .addFields(
+                { name: '❤️ Health', value: `${info.health ?? '?'}/20`, inline: true },
+                { name: '🍗 Food', value: `${info.food ?? '?'}/20`, inline: true },
+                { name: '📍 Position', value: info.position ? this.formatCoords(info.position) : 'Unknown', inline: true }
+            )
+            .setTimestamp();
 
-            if (this.authCheckTimeout) {
-                clearTimeout(this.authCheckTimeout);
-            }
-            if (this.authCheckInterval) {
-                clearInterval(this.authCheckInterval);
-                this.authCheckInterval = null;
-            }
+        if (info.attacker) {
+            embed.addFields({
+                name: info.attacker.player ? '🧑 Nearby Player' : '👾 Attacker',
+                value: `${escapeMarkdown(info.attacker.name)} (${info.attacker.type})`,
+                inline: false
+            });
+        }
 
-            if (this.authMessage) {
-                try {
-                    await this.authMessage.delete();
-                    console.log('🗑️  Authentication message cleaned up');
-                    this.authMessage = null;
-                } catch (error) {
-                    console.error('⚠️  Failed to clean up auth message:', error);
-                }
-            }
+        const roleId = CONFIG.healthGuard.roleId;
+        const ping = roleId && info.kind !== 'damage' && info.kind !== 'noFood';
 
-            await this.updateEmbed();
-        });
+        try {
+            const channel = await this.discordClient.channels.fetch(
+                CONFIG.healthGuard.channelId || CONFIG.alerts.channelId || CONFIG.discord.channelId
+            );
+            await channel.send({
+                content: ping ? `<@&${roleId}>` : undefined,
+                embeds: [embed],
+                allowedMentions: { roles: ping ? [roleId] : [] }
+            });
+        } catch (error) {
+            discordLog.error('Failed to send health alert:', error.message);
+        }
+    }
 
-        this.minecraftBot.on('spawn', async () => {
-            console.log('🌍 Bot spawned in Minecraft world');
+    async showRadarNotification(session, { kind, name, distance, position, time }) {
+        const entered = kind === 'enter';
+        const embed = new EmbedBuilder()
+            .setTitle(`${entered ? '👀 Player Nearby' : '👋 Player Left'} — ${session.id}`)
+            .setColor(entered ? '#ff9900' : '#808080')
+            .setDescription(`**${escapeMarkdown(name)}** ${entered ? 'entered' : 'left'} render distance`)
+            .addFields(
+                { name: '📏 Distance', value: distance === null ? 'Unknown' : `${distance} blocks`, inline: true },
+                { name: '📍 Coordinates', value: this.formatCoords(position), inline: true }
+            )
+            .setTimestamp(time);
+
+        const roleId = CONFIG.radar.roleId;
+        const ping = entered && roleId;
+
+        try {
+            const channel = await this.discordClient.channels.fetch(
+                CONFIG.radar.channelId || CONFIG.alerts.channelId || CONFIG.discord.channelId
+            );
+            await channel.send({
+                content: ping ? `<@&${roleId}>` : undefined,
+                embeds: [embed],
+                allowedMentions: { roles: ping ? [roleId] : [] }
+            });
+        } catch (error) {
+            discordLog.error('Failed to send radar notification:', error.message);
+        }
+    }
 
-            this.updatePositionInfo();
+    // What auto-deposit stored, or why the inventory is still full
+    async showStorageReport(session, result, fullReason = null) {
+        const embed = new EmbedBuilder()
+            .setTitle(`${fullReason ? '⚠️ Storage Full' : '📦 Items Stored'} — ${session.id}`)
+            .setColor(fullReason ? '#ff0000' : '#8b5a2b')
+            .setTimestamp();
 
-            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
-                this.currentWorld = this.minecraftBot.game.dimension;
+        if (fullReason) {
+            embed.setDescription(fullReason.substring(0, 4000));
+        } else {
+            embed.setDescription(this.formatStoredItems(result.stored))
+                .addFields({ name: '🎒 Free Slots', value: String(result.freeSlots), inline: true });
+            if (result.problems.length > 0) {
+                embed.addFields({ name: '⚠️ Problems', value: result.problems.join('\n').substring(0, 1024), inline: false });
             }
+        }
 
-            setTimeout(() => {
-                if (this.minecraftBot) {
-                    this.minecraftBot.chat('/tpa doggomc');
-                    console.log('📞 Sent teleport request to doggomc');
-                }
-            }, 5000);
+        try {
+            const channel = await this.discordClient.channels.fetch(
+                CONFIG.storage.channelId || CONFIG.alerts.channelId || CONFIG.discord.channelId
+            );
+            await channel.send({ embeds: [embed] });
+        } catch (error) {
+            discordLog.error('Failed to send storage report:', error.message);
+        }
+    }
 
-            await this.updateEmbed();
-        });
+    async showSaleReport(session, sale) {
+        const embed = new EmbedBuilder()
+            .setTitle(`💵 Auto-Sell — ${session.id}`)
+            .setColor('#2ecc71')
+            .setDescription(this.formatStoredItems(sale.items))
+            .addFields({ name: '💰 Proceeds', value: sale.proceeds !== null ? `$${formatNumber(sale.proceeds)}` : 'Not reported by the server', inline: true })
+            .setTimestamp(sale.time);
 
-        this.minecraftBot.on('move', () => {
-            this.updatePositionInfo();
-        });
+        try {
+            const channel = await this.discordClient.channels.fetch(
+                CONFIG.alerts.channelId || CONFIG.discord.channelId
+            );
+            await channel.send({ embeds: [embed] });
+        } catch (error) {
+            discordLog.error('Failed to send sale report:', error.message);
+        }
+    }
 
-        this.minecraftBot.on('respawn', () => {
-            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
-                this.currentWorld = this.minecraftBot.game.dimension;
-                console.log('Bot respawned/changed dimension to:', this.currentWorld);
-                this.updateEmbed();
-            }
-        });
+    formatStoredItems(stored) {
+        const entries = Object.entries(stored).sort((a, b) => b[1] - a[1]);
+        if (entries.length === 0) return 'Nothing stored';
+        return entries.map(([name, count]) => `**${count}×** ${name}`).join('\n').substring(0, 4000);
+    }
 
-        this.minecraftBot.on('end', async (reason) => {
-            console.log('🔌 Minecraft connection ended:', reason);
-            this.isConnected = false;
-            this.isConnecting = false;
-            this.minecraftBot = null;
-            this.currentWorld = 'Unknown';
-            this.currentCoords = { x: 0, y: 0, z: 0 };
+    getTokenText(tokenInfo) {
+        const lock = this.tokenStore.encrypted ? ' 🔒' : '';
+        if (tokenInfo.hasToken && tokenInfo.remainingMs > 0) {
+            return `Valid for ${formatDuration(tokenInfo.remainingMs)}${tokenInfo.hasRefreshToken ? ', auto-refresh enabled' : ''}${lock}`;
+        }
+        if (tokenInfo.hasRefreshToken) {
+            return `Expired, will refresh on next connect${lock}`;
+        }
+        return 'No cached login, Microsoft sign-in required';
+    }
 
-            await this.updateEmbed();
+    formatVitals(bot) {
+        const format = (value) => value === undefined || value === null ? '?' : Math.round(value * 10) / 10;
+        return `${format(bot.health)}/20 ❤️ · ${format(bot.food)}/20 🍗`;
+    }
 
-            if (this.shouldJoin) {
-                console.log('[RECONNECT] Connection ended, attempting reconnect...');
-                await this.attemptReconnect();
-            }
-        });
+    // Key/value pairs when the sidebar has them, the raw lines otherwise
+    formatScoreboard(scoreboard) {
+        const entries = Object.entries(scoreboard.values);
+        const lines = entries.length > 0
+            ? entries.map(([key, value]) => `**${key.replace(/_/g, ' ').replace(/^\w/, letter => letter.toUpperCase())}:** ${escapeMarkdown(value)}`)
+            : scoreboard.lines.map(line => escapeMarkdown(line));
+        return lines.join('\n').substring(0, 1024) || 'Empty';
+    }
 
-        this.minecraftBot.on('error', async (error) => {
-            console.error('❌ Minecraft bot error:', error);
-            this.isConnected = false;
-            this.isConnecting = false;
-            this.currentWorld = 'Unknown';
-            this.currentCoords = { x: 0, y: 0, z: 0 };
+    formatCoords(coords) {
+        return `X: ${Math.round(coords.x)}, Y: ${Math.round(coords.y)}, Z: ${Math.round(coords.z)}`;
+    }
 
-            await this.updateEmbed();
+    // Replace the "waiting for code" prompt when the cached token makes sign-in unnecessary
+    async forceCheckAuthCode(session) {
+        const tokenInfo = session.getTokenInfo();
+        if (!tokenInfo || session.authMessageSent || !session.authMessage) return;
+        if (!tokenInfo.hasToken && !tokenInfo.hasRefreshToken) return;
 
-            if (this.shouldJoin) {
-                console.log('[RECONNECT] Error occurred, attempting reconnect...');
-                await this.attemptReconnect();
-            }
-        });
+        const embed = new EmbedBuilder()
+            .setTitle('🎟️ Using Cached Login')
+            .setDescription(`Connecting **${session.id}** with the stored Microsoft token, no sign-in needed.`)
+            .addFields({ name: '⏳ Token', value: this.getTokenText(tokenInfo), inline: false })
+            .setColor('#00ff00')
+            .setTimestamp();
 
-        this.minecraftBot.on('kicked', async (reason) => {
-            console.log('⚠️  Bot was kicked from server:', reason);
-            this.isConnected = false;
-            this.isConnecting = false;
-            this.minecraftBot = null;
-            this.currentWorld = 'Unknown';
-            this.currentCoords = { x: 0, y: 0, z: 0 };
+        try {
+            await session.authMessage.edit({ embeds: [embed] });
+        } catch (error) {
+            discordLog.error('⚠️  Failed to update auth message:', error);
+        }
+    }
 
-            await this.updateEmbed();
+    createAuthCodeEmbed(session) {
+        const expiresAt = Math.floor(session.authExpiresAt / 1000);
+        const mention = session.lastAuthUser ? `${session.lastAuthUser}, please` : 'Please';
 
-            if (this.shouldJoin) {
-                console.log('[RECONNECT] Bot kicked, attempting reconnect...');
-                await this.attemptReconnect();
+        return new EmbedBuilder()
+            .setTitle('🔐 Microsoft Authentication Required')
+            .setDescription(`${mention} authenticate to connect the Minecraft bot **${session.id}**.`)
+            .addFields(
+                { name: '🔗 Authentication Link', value: `[${session.authUrl}](${session.authUrl})`, inline: false },
+                { name: '🔑 Authentication Code', value: `**\`${session.userCode}\`**`, inline: true },
+                { name: '⏳ Expires', value: `<t:${expiresAt}:R>`, inline: true },
+                { name: '📝 Instructions', value: '1. Open the link above\n2. Enter the code\n3. Sign in with the account for this bot', inline: false }
+            )
+            .setColor('#00ff00')
+            .setTimestamp();
+    }
+
+    // Post the device code, reusing the prompt from the ✅ reaction when there is one
+    async showAuthCode(session) {
+        const embed = this.createAuthCodeEmbed(session);
+
+        try {
+            if (session.authMessage) {
+                await session.authMessage.edit({ embeds: [embed] });
+                return;
             }
-        });
+        } catch (error) {
+            discordLog.warn('⚠️  Failed to update auth message, sending a new one:', error.message);
+        }
 
-        this.minecraftBot.on('auth_pending', (data) => {
-            console.log('Microsoft auth pending:', data);
-            this.authUrl = data.verification_uri;
-            this.userCode = data.user_code;
-            this.updateEmbed();
-        });
+        try {
+            const channel = await this.discordClient.channels.fetch(CONFIG.discord.channelId);
+            session.authMessage = await channel.send({ embeds: [embed] });
+        } catch (error) {
+            discordLog.error('⚠️  Failed to send auth code to Discord:', error);
+        }
     }
 
-    async extractAuthDetails(message) {
-        const codeMatch = message.match(/code ([A-Z0-9]+)/);
+    async showAuthExpired(session) {
+        if (!session.authMessage) return;
 
-        if (codeMatch && this.lastAuthUser && this.authMessage) {
-            const authCode = codeMatch[1];
-            console.log('[DEBUG] Found auth code:', authCode, 'updating message');
-
-            const updatedEmbed = new EmbedBuilder()
-                .setTitle('🔐 Microsoft Authentication Required')
-                .setDescription(`${this.lastAuthUser}, please authenticate to connect the Minecraft bot.`)
-                .addFields(
-                    { name: '🔗 Authentication Link', value: '[Click here to authenticate](https://www.microsoft.com/link)', inline: false },
-                    { name: '🔑 Authentication Code', value: `**${authCode}**`, inline: false },
-                    { name: '📝 Instructions', value: '1. Click the link above\n2. Enter the code\n3. Complete authentication', inline: false }
-                )
-                .setColor('#00ff00')
-                .setTimestamp();
+        const embed = new EmbedBuilder()
+            .setTitle('⌛ Authentication Code Expired')
+            .setDescription(`Nobody signed in for **${session.id}** in time. React ✅ on its control message to get a new code.`)
+            .setColor('#ff0000')
+            .setTimestamp();
 
-            try {
-                await this.authMessage.edit({ embeds: [updatedEmbed] });
-                console.log('[DEBUG] Successfully updated auth message with code:', authCode);
-            } catch (error) {
-                console.error('[DEBUG] Failed to update auth message:', error);
-                try {
-                    const channel = await this.discordClient.channels.fetch(CONFIG.discord.channelId);
-                    await channel.send({
-                        content: `${this.lastAuthUser} - Authentication code: **${authCode}**\nUse: https://www.microsoft.com/link`
-                    });
-                } catch (channelError) {
-                    console.error('[DEBUG] Failed to send new message too:', channelError);
-                }
-            }
-        } else {
-            console.log('[DEBUG] Missing requirements:', { 
-                hasCodeMatch: !!codeMatch, 
-                hasUser: !!this.lastAuthUser, 
-                hasAuthMessage: !!this.authMessage 
-            });
+        try {
+            await session.authMessage.edit({ embeds: [embed] });
+        } catch (error) {
+            discordLog.error('⚠️  Failed to update auth message:', error);
         }
+        session.authMessage = null;
     }
 
-    async updateEmbed() {
-        if (!this.controlMessage) return;
+    async updateEmbed(session) {
+        if (!session.controlMessage) return;
 
         try {
-            const embed = this.createEmbed();
-            await this.controlMessage.edit({ embeds: [embed] });
+            const embed = this.createEmbed(session);
+            await session.controlMessage.edit({ embeds: [embed] });
         } catch (error) {
-            console.error('Failed to update embed:', error);
+            discordLog.error('Failed to update embed:', error);
         }
     }
 
     // Setup slash commands
     setupSlashCommands() {
+        const addAccountOption = (command) => command.addStringOption(option =>
+            option.setName('account')
+                .setDescription('Account to use (required when several accounts are configured)')
+                .setAutocomplete(true)
+        );
+        const addWebhookOption = (option) => option.setName('webhook')
+            .setDescription('Webhook id')
+            .setRequired(true)
+            .setAutocomplete(true);
+        const addStepOptions = (subcommand) => subcommand
+            .addStringOption(option =>
+                option.setName('dimension')
+                    .setDescription('Only run this step in this dimension')
+                    .addChoices(
+                        { name: 'Overworld', value: 'overworld' },
+                        { name: 'Nether', value: 'the_nether' },
+                        { name: 'End', value: 'the_end' }
+                    )
+            )
+            .addIntegerOption(option =>
+                option.setName('position')
+                    .setDescription('Insert at this step number (default: end of script)')
+                    .setMinValue(1)
+            );
+
         this.commands = [
-            new SlashCommandBuilder()
+            addAccountOption(new SlashCommandBuilder()
                 .setName('message')
                 .setDescription('Send a message to the Minecraft server')
                 .addStringOption(option =>
                     option.setName('text')
                         .setDescription('The message to send')
                         .setRequired(true)
-                ),
-            new SlashCommandBuilder()
+                )),
+            addAccountOption(new SlashCommandBuilder()
                 .setName('shards')
-                .setDescription('Check available shards on the Minecraft account'),
+                .setDescription('Check the shard balance and how fast it grows')
+                .addStringOption(option =>
+                    option.setName('range')
+                        .setDescription('History shown in the chart (default 24h)')
+                        .addChoices(...Object.keys(HISTORY_RANGES).map(range => ({ name: range, value: range })))
+                )),
             new SlashCommandBuilder()
-                .setName('status')
-                .setDescription('Show bot connection status'),
+                .setName('inventory')
+                .setDescription('View and manage what the bot is carrying')
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('view')
+                    .setDescription('Show inventory and armor')))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('drop')
+                    .setDescription('Drop the stack in one slot')
+                    .addIntegerOption(option =>
+                        option.setName('slot')
+                            .setDescription('Slot number from /inventory view')
+                            .setRequired(true)
+                            .setMinValue(5)
+                            .setMaxValue(45)
+                    )))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('equip')
+                    .setDescription('Hold an item or put on armor')
+                    .addStringOption(option =>
+                        option.setName('item')
+                            .setDescription('Item to equip')
+                            .setRequired(true)
+                            .setAutocomplete(true)
+                    )))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('toss-all')
+                    .setDescription('Drop every stack of an item')
+                    .addStringOption(option =>
+                        option.setName('item')
+                            .setDescription('Item to drop')
+                            .setRequired(true)
+                            .setAutocomplete(true)
+                    ))),
             new SlashCommandBuilder()
-                .setName('connect')
-                .setDescription('Connect the bot to the Minecraft server'),
+                .setName('ah')
+                .setDescription('Auction house and /sell automation')
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('search')
+                    .setDescription('Search the auction house')
+                    .addStringOption(option =>
+                        option.setName('item')
+                            .setDescription('What to search for')
+                            .setRequired(true)
+                            .setMaxLength(64)
+                    )))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('sell')
+                    .setDescription('Sell the configured items now')))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('sales')
+                    .setDescription('Show recent auto-sell proceeds'))),
             new SlashCommandBuilder()
+                .setName('storage')
+                .setDescription('Chests and barrels the bot fills when its inventory is full')
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('add')
+                    .setDescription('Add a container, defaults to the one the bot is looking at')
+                    .addIntegerOption(option => option.setName('x').setDescription('Block X'))
+                    .addIntegerOption(option => option.setName('y').setDescription('Block Y'))
+                    .addIntegerOption(option => option.setName('z').setDescription('Block Z'))))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('remove')
+                    .setDescription('Remove a container')
+                    .addIntegerOption(option =>
+                        option.setName('number')
+                            .setDescription('Container number from /storage list')
+                            .setRequired(true)
+                            .setMinValue(1)
+                    )))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('list')
+                    .setDescription('Show containers and the deposit filter')))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('filter')
+                    .setDescription('Only deposit these items (leave empty to deposit everything)')
+                    .addStringOption(option =>
+                        option.setName('items')
+                            .setDescription('Comma separated item names, e.g. bone, arrow, rotten_flesh')
+                    )))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('auto')
+                    .setDescription('Turn automatic deposits on or off')
+                    .addBooleanOption(option =>
+                        option.setName('enabled')
+                            .setDescription('Deposit automatically when the inventory is full')
+                            .setRequired(true)
+                    )))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('deposit')
+                    .setDescription('Deposit right now'))),
+            addAccountOption(new SlashCommandBuilder()
+                .setName('nearby')
+                .setDescription('List players and hostile mobs around the bot')),
+            new SlashCommandBuilder()
+                .setName('radar')
+                .setDescription('Manage players the radar ignores')
+                .addSubcommand(subcommand => subcommand
+                    .setName('add')
+                    .setDescription('Ignore a friend')
+                    .addStringOption(option =>
+                        option.setName('player')
+                            .setDescription('Minecraft username')
+                            .setRequired(true)
+                    ))
+                .addSubcommand(subcommand => subcommand
+                    .setName('remove')
+                    .setDescription('Stop ignoring a player')
+                    .addStringOption(option =>
+                        option.setName('player')
+                            .setDescription('Minecraft username')
+                            .setRequired(true)
+                    ))
+                .addSubcommand(subcommand => subcommand
+                    .setName('list')
+                    .setDescription('Show ignored players')),
+            new SlashCommandBuilder()
+                .setName('antiafk')
+                .setDescription('Move the bot around now and then so idle timers do not kick it')
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('on')
+                    .setDescription('Turn anti-AFK on')
+                    .addStringOption(option =>
+                        option.setName('actions')
+                            .setDescription(`Comma separated, any of ${ANTI_AFK_ACTIONS.join(', ')}`)
+                    )))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('off')
+                    .setDescription('Turn anti-AFK off')))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('status')
+                    .setDescription('Show anti-AFK settings and the last action'))),
+            new SlashCommandBuilder()
+                .setName('serverinfo')
+                .setDescription('Ping the Minecraft server and show its status'),
+            addAccountOption(new SlashCommandBuilder()
+                .setName('uptime')
+                .setDescription('Show online time, longest session and kick reasons')),
+            addAccountOption(new SlashCommandBuilder()
+                .setName('status')
+                .setDescription('Show bot connection status')),
+            addAccountOption(new SlashCommandBuilder()
+                .setName('connect')
+                .setDescription('Connect the bot to the Minecraft server')),
+            addAccountOption(new SlashCommandBuilder()
                 .setName('disconnect')
-                .setDescription('Disconnect the bot from the Minecraft server')
+                .setDescription('Disconnect the bot from the Minecraft server')),
+            new SlashCommandBuilder()
+                .setName('inbox')
+                .setDescription('List recent private messages received in game')
+                .addStringOption(option =>
+                    option.setName('account')
+                        .setDescription('Only messages to this account')
+                        .setAutocomplete(true)
+                )
+                .addStringOption(option =>
+                    option.setName('player')
+                        .setDescription('Only messages from this player')
+                )
+                .addIntegerOption(option =>
+                    option.setName('limit')
+                        .setDescription('Number of messages (default 10)')
+                        .setMinValue(1)
+                        .setMaxValue(25)
+                ),
+            new SlashCommandBuilder()
+                .setName('alerts')
+                .setDescription('Ping people when Minecraft chat mentions something')
+                .addSubcommand(subcommand => subcommand
+                    .setName('add')
+                    .setDescription('Add an alert rule')
+                    .addStringOption(option =>
+                        option.setName('keyword')
+                            .setDescription(`Word to watch for, ${IGN_PLACEHOLDER} stands for the bot's in-game name`)
+                            .setRequired(true)
+                    )
+                    .addBooleanOption(option =>
+                        option.setName('regex')
+                            .setDescription('Treat the keyword as a regular expression')
+                    )
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('Role to ping (defaults to you)')
+                    )
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('User to ping (defaults to you)')
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('cooldown')
+                            .setDescription('Minutes before this rule can ping again')
+                            .setMinValue(0)
+                            .setMaxValue(1440)
+                    )
+                    .addStringOption(option =>
+                        option.setName('account')
+                            .setDescription('Only watch this account\'s chat')
+                            .setAutocomplete(true)
+                    ))
+                .addSubcommand(subcommand => subcommand
+                    .setName('remove')
+                    .setDescription('Remove an alert rule')
+                    .addStringOption(option =>
+                        option.setName('id')
+                            .setDescription('Rule id from /alerts list')
+                            .setRequired(true)
+                    ))
+                .addSubcommand(subcommand => subcommand
+                    .setName('list')
+                    .setDescription('List alert rules')),
+            new SlashCommandBuilder()
+                .setName('webhooks')
+                .setDescription('Send bot events to other HTTP services')
+                .addSubcommand(subcommand => subcommand
+                    .setName('add')
+                    .setDescription('Add a webhook; the signing secret is shown once')
+                    .addStringOption(option =>
+                        option.setName('url')
+                            .setDescription('http(s) URL that receives the POST requests')
+                            .setRequired(true)
+                    )
+                    .addStringOption(option =>
+                        option.setName('events')
+                            .setDescription(`Comma-separated: ${WEBHOOK_EVENTS.join(', ')} (default: all)`.substring(0, 100))
+                    ))
+                .addSubcommand(subcommand => subcommand
+                    .setName('remove')
+                    .setDescription('Remove a webhook')
+                    .addStringOption(option => addWebhookOption(option)))
+                .addSubcommand(subcommand => subcommand
+                    .setName('enable')
+                    .setDescription('Resume deliveries to a webhook')
+                    .addStringOption(option => addWebhookOption(option)))
+                .addSubcommand(subcommand => subcommand
+                    .setName('disable')
+                    .setDescription('Pause deliveries to a webhook')
+                    .addStringOption(option => addWebhookOption(option)))
+                .addSubcommand(subcommand => subcommand
+                    .setName('list')
+                    .setDescription('List webhooks'))
+                .addSubcommand(subcommand => subcommand
+                    .setName('test')
+                    .setDescription('Send a test event')
+                    .addStringOption(option => addWebhookOption(option)))
+                .addSubcommand(subcommand => subcommand
+                    .setName('deliveries')
+                    .setDescription('Recent deliveries and their results')
+                    .addStringOption(option => addWebhookOption(option).setRequired(false))
+                    .addIntegerOption(option =>
+                        option.setName('limit')
+                            .setDescription('Number of deliveries (default 10)')
+                            .setMinValue(1)
+                            .setMaxValue(25)
+                    )),
+            new SlashCommandBuilder()
+                .setName('audit')
+                .setDescription('Show who did what with the bots')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Only actions by this member')
+                )
+                .addIntegerOption(option =>
+                    option.setName('limit')
+                        .setDescription('Number of entries (default 15)')
+                        .setMinValue(1)
+                        .setMaxValue(50)
+                ),
+            new SlashCommandBuilder()
+                .setName('permissions')
+                .setDescription('Show bot permissions and denied attempts')
+                .addSubcommand(subcommand => subcommand
+                    .setName('check')
+                    .setDescription('Show what you or another member may do')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('Member to check (default: you)')
+                    ))
+                .addSubcommand(subcommand => subcommand
+                    .setName('denied')
+                    .setDescription('Recent denied Discord and web attempts')
+                    .addIntegerOption(option =>
+                        option.setName('limit')
+                            .setDescription('Number of entries (default 10)')
+                            .setMinValue(1)
+                            .setMaxValue(25)
+                    )),
+            new SlashCommandBuilder()
+                .setName('logs')
+                .setDescription('Show recent log entries')
+                .addStringOption(option =>
+                    option.setName('level')
+                        .setDescription('Minimum level to show')
+                        .addChoices(
+                            { name: 'Debug', value: 'debug' },
+                            { name: 'Info', value: 'info' },
+                            { name: 'Warning', value: 'warn' },
+                            { name: 'Error', value: 'error' }
+                        )
+                )
+                .addIntegerOption(option =>
+                    option.setName('limit')
+                        .setDescription('Number of entries (default 20)')
+                        .setMinValue(1)
+                        .setMaxValue(100)
+                )
+                .addStringOption(option =>
+                    option.setName('tag')
+                        .setDescription('Only this subsystem, e.g. minecraft, reconnect, auth, discord, web')
+                ),
+            new SlashCommandBuilder()
+                .setName('onjoin')
+                .setDescription('Manage the steps an account runs after joining the server')
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('show')
+                    .setDescription('Show the on-join script')))
+                .addSubcommand(subcommand => addAccountOption(addStepOptions(subcommand
+                    .setName('add-chat')
+                    .setDescription('Add a step that sends a chat message or command')
+                    .addStringOption(option =>
+                        option.setName('message')
+                            .setDescription('Message or command, e.g. /home afk')
+                            .setRequired(true)
+                    ))))
+                .addSubcommand(subcommand => addAccountOption(addStepOptions(subcommand
+                    .setName('add-wait')
+                    .setDescription('Add a step that pauses the script')
+                    .addNumberOption(option =>
+                        option.setName('seconds')
+                            .setDescription('How long to wait')
+                            .setRequired(true)
+                            .setMinValue(0)
+                            .setMaxValue(600)
+                    ))))
+                .addSubcommand(subcommand => addAccountOption(addStepOptions(subcommand
+                    .setName('add-wait-for-chat')
+                    .setDescription('Add a step that waits for a chat message matching a pattern')
+                    .addStringOption(option =>
+                        option.setName('pattern')
+                            .setDescription('Regular expression, matched case-insensitively')
+                            .setRequired(true)
+                    )
+                    .addNumberOption(option =>
+                        option.setName('timeout')
+                            .setDescription('Seconds to wait before stopping the script (default 10)')
+                            .setMinValue(1)
+                            .setMaxValue(600)
+                    ))))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('remove')
+                    .setDescription('Remove a step')
+                    .addIntegerOption(option =>
+                        option.setName('step')
+                            .setDescription('Step number as shown by /onjoin show')
+                            .setRequired(true)
+                            .setMinValue(1)
+                    )))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('clear')
+                    .setDescription('Remove all steps so nothing runs on join')))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('reset')
+                    .setDescription('Go back to the default script from the config file')))
+                .addSubcommand(subcommand => addAccountOption(subcommand
+                    .setName('run')
+                    .setDescription('Run the on-join script now')))
         ];
+
+        // Server commands declared in config.commands
+        const builtIn = new Set(this.commands.map(command => command.name));
+        this.customCommands = new Map();
+        for (const definition of CONFIG.commands) {
+            if (builtIn.has(definition.name)) {
+                discordLog.warn(`⚠️  config.commands: "${definition.name}" is a built-in command, skipping it`);
+                continue;
+            }
+
+            const command = new SlashCommandBuilder()
+                .setName(definition.name)
+                .setDescription(definition.description.substring(0, 100));
+            if (definition.argument) {
+                command.addStringOption(option =>
+                    option.setName(definition.argument)
+                        .setDescription(`Value for {${definition.argument}} in ${definition.command}`.substring(0, 100))
+                        .setMaxLength(64)
+                );
+            }
+            this.commands.push(addAccountOption(command));
+            this.customCommands.set(definition.name, definition);
+        }
+        this.customCommandsKey = JSON.stringify(CONFIG.commands);
     }
 
     // Register slash commands with Discord
@@ -741,16 +1865,16 @@ class MinecraftDiscordBot {
         try {
             const rest = new REST({ version: '10' }).setToken(CONFIG.discord.token);
 
-            console.log('🔄 Registering Discord slash commands...');
+            discordLog.info('🔄 Registering Discord slash commands...');
 
             await rest.put(
                 Routes.applicationCommands(this.discordClient.user.id),
                 { body: this.commands.map(command => command.toJSON()) }
             );
 
-            console.log('✅ Discord slash commands registered successfully!');
+            discordLog.info('✅ Discord slash commands registered successfully!');
         } catch (error) {
-            console.error('Error registering slash commands:', error);
+            discordLog.error('Error registering slash commands:', error);
         }
     }
 
@@ -762,6 +1886,30 @@ class MinecraftDiscordBot {
             case 'message':
                 await this.handleMessageCommand(interaction);
                 break;
+            case 'inventory':
+                await this.handleInventoryCommand(interaction);
+                break;
+            case 'ah':
+                await this.handleAuctionCommand(interaction);
+                break;
+            case 'storage':
+                await this.handleStorageCommand(interaction);
+                break;
+            case 'nearby':
+                await this.handleNearbyCommand(interaction);
+                break;
+            case 'radar':
+                await this.handleRadarCommand(interaction);
+                break;
+            case 'antiafk':
+                await this.handleAntiAfkCommand(interaction);
+                break;
+            case 'serverinfo':
+                await this.handleServerInfoCommand(interaction);
+                break;
+            case 'uptime':
+                await this.handleUptimeCommand(interaction);
+                break;
             case 'shards':
                 await this.handleShardsCommand(interaction);
                 break;
@@ -774,105 +1922,654 @@ class MinecraftDiscordBot {
             case 'disconnect':
                 await this.handleDisconnectCommand(interaction);
                 break;
+            case 'onjoin':
+                await this.handleOnJoinCommand(interaction);
+                break;
+            case 'logs':
+                await this.handleLogsCommand(interaction);
+                break;
+            case 'inbox':
+                await this.handleInboxCommand(interaction);
+                break;
+            case 'alerts':
+                await this.handleAlertsCommand(interaction);
+                break;
+            case 'permissions':
+                await this.handlePermissionsCommand(interaction);
+                break;
+            case 'audit':
+                await this.handleAuditCommand(interaction);
+                break;
+            case 'webhooks':
+                await this.handleWebhooksCommand(interaction);
+                break;
             default:
+                if (this.customCommands.has(commandName)) {
+                    await this.handleCustomCommand(interaction, this.customCommands.get(commandName));
+                    break;
+                }
                 await interaction.reply({ content: 'Unknown command!', ephemeral: true });
         }
     }
 
+    getCommandCapability(commandName, subcommand) {
+        if (this.customCommands.has(commandName)) return 'chat';
+        return COMMAND_CAPABILITIES[`${commandName} ${subcommand}`] || COMMAND_CAPABILITIES[commandName] || 'admin';
+    }
+
+    // True when the Discord user may use a capability; denied attempts are
+    // recorded, in the audit log too with the source, account and args in audit
+    checkDiscordPermission(user, member, capability, action, audit = {}) {
+        if (this.permissions.forDiscord(user.id, member).has(capability)) return true;
+        this.permissions.recordDenied('discord', `${user.tag} (${user.id})`, action, capability);
+        this.auditLog.record({ source: 'slash', ...audit, actor: user.tag, actorId: user.id, action, outcome: 'denied' });
+        return false;
+    }
+
+    // Option values of a slash command for the audit log, subcommand options included
+    getCommandArgs(interaction) {
+        const args = {};
+        const collect = (options) => {
+            for (const option of options) {
+                if (option.options) {
+                    collect(option.options);
+                } else if (option.name !== 'account') {
+                    args[option.name] = option.user ? option.user.tag : option.value;
+                }
+            }
+        };
+        collect(interaction.options.data);
+        return args;
+    }
+
+    // Resolve the "account" option, replying with an error when it cannot be resolved
+    async getInteractionSession(interaction) {
+        const selector = interaction.options.getString('account');
+        const session = this.resolveSession(selector);
+        if (!session) {
+            await interaction.reply({ content: `❌ ${this.getSessionError(selector)}`, ephemeral: true });
+        }
+        return session;
+    }
+
+    // Run a command from config.commands and reply with the server's answer
+    async handleCustomCommand(interaction, definition) {
+        const session = await this.getInteractionSession(interaction);
+        if (!session) return;
+
+        if (!session.isConnected) {
+            await interaction.reply({ content: `❌ ${session.id} is not connected to the Minecraft server!`, ephemeral: true });
+            return;
+        }
+
+        const values = {};
+        if (definition.argument) {
+            // Arguments are sent as chat, keep them to a single word
+            const value = interaction.options.getString(definition.argument)?.trim() || '';
+            if (/\s/.test(value)) {
+                await interaction.reply({ content: `❌ ${definition.argument} cannot contain spaces`, ephemeral: true });
+                return;
+            }
+            values[definition.argument] = value;
+        }
+
+        const command = expandCommand(definition.command, values);
+        await interaction.deferReply({ ephemeral: definition.ephemeral ?? false });
+
+        try {
+            const response = await captureResponse(session, command, {
+                match: definition.match,
+                until: definition.until,
+                lines: definition.lines ?? (definition.until ? 50 : 1),
+                idleTimeout: definition.idleTimeout ?? 1000,
+                timeout: definition.timeout ?? 10000
+            });
+
+            if (!response) {
+                await interaction.editReply({ content: `⏱️ No response to \`${command}\` from the server` });
+                return;
+            }
+
+            const embed = new EmbedBuilder()
+                .setTitle(`💬 ${command} — ${session.id}`)
+                .setColor('#3498db')
+                .setDescription(escapeMarkdown(response.lines.join('\n')).substring(0, 4000))
+                .setTimestamp();
+            if (!response.complete) {
+                embed.setFooter({ text: 'The response may be incomplete' });
+            }
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            discordLog.error(`💬 [${session.id}] ${command} failed:`, error.message);
+            await interaction.editReply({ content: `❌ ${error.message}` });
+        }
+    }
+
     // Handle /message command
     async handleMessageCommand(interaction) {
+        const session = await this.getInteractionSession(interaction);
+        if (!session) return;
+
         const message = interaction.options.getString('text');
 
-        if (!this.isConnected || !this.minecraftBot) {
-            await interaction.reply({ 
-                content: '❌ Bot is not connected to the Minecraft server!', 
-                ephemeral: true 
+        if (!session.isConnected || !session.minecraftBot) {
+            await interaction.reply({
+                content: `❌ ${session.id} is not connected to the Minecraft server!`,
+                ephemeral: true
             });
             return;
         }
 
         try {
-            this.minecraftBot.chat(message);
-            await interaction.reply({ 
-                content: `✅ Message sent: "${message}"`, 
-                ephemeral: true 
+            session.chat(message);
+            await interaction.reply({
+                content: `✅ Message sent as ${session.id}: "${message}"`,
+                ephemeral: true
             });
-            console.log(`Message sent to Minecraft: ${message}`);
+            discordLog.info(`[${session.id}] Message sent to Minecraft: ${message}`);
         } catch (error) {
-            console.error('Error sending message to Minecraft:', error);
-            await interaction.reply({ 
-                content: '❌ Failed to send message to Minecraft server!', 
-                ephemeral: true 
+            discordLog.error('Error sending message to Minecraft:', error);
+            await interaction.reply({
+                content: '❌ Failed to send message to Minecraft server!',
+                ephemeral: true
             });
         }
     }
 
     // Handle /shards command
     async handleShardsCommand(interaction) {
-        if (!this.isConnected || !this.minecraftBot) {
-            await interaction.reply({ 
-                content: '❌ Bot is not connected to the Minecraft server!', 
-                ephemeral: true 
+        const session = await this.getInteractionSession(interaction);
+        if (!session) return;
+
+        const range = interaction.options.getString('range') || '24h';
+        await interaction.deferReply();
+
+        // Refresh the balance when possible, otherwise show the stored history
+        let fresh = null;
+        if (session.isConnected) {
+            try {
+                fresh = await this.shardTracker.request(session);
+                if (!fresh) {
+                    discordLog.warn(`💎 [${session.id}] No /shards response from server`);
+                }
+            } catch (error) {
+                discordLog.error('💎 Error requesting shards:', error);
+            }
+        }
+
+        const stats = this.shardTracker.stats(session.id, HISTORY_RANGES[range]);
+        if (stats.balance === null) {
+            await interaction.editReply({
+                content: session.isConnected
+                    ? '⏰ No response from server. The /shards command may not be available or took too long to respond.'
+                    : `❌ ${session.id} is not connected and no shard balance has been recorded yet.`
             });
             return;
         }
 
-        await interaction.deferReply();
+        const formatRate = (value) => value === null ? 'Not enough data' : `${formatNumber(value)} 💎`;
+        const embed = new EmbedBuilder()
+            .setTitle(`💎 Shard Balance — ${session.id}`)
+            .setColor('#9d4edd')
+            .addFields(
+                { name: '💰 Available Shards', value: stats.balance.toLocaleString('en-US'), inline: true },
+                { name: '⏱️ Per Hour', value: formatRate(stats.perHour), inline: true },
+                { name: '📅 Per Day', value: formatRate(stats.perDay), inline: true },
+                { name: `📈 Earned (${range})`, value: `${formatNumber(stats.earned)} 💎 over ${stats.samples} sample(s)`, inline: false },
+                { name: `💵 Sales (${range})`, value: `$${formatNumber(this.auctionHouse.totalProceeds(session.id, Date.now() - HISTORY_RANGES[range]))}`, inline: false }
+            )
+            .setFooter({ text: fresh ? 'Balance just refreshed' : 'Showing the last recorded balance' })
+            .setTimestamp(stats.updatedAt);
+
+        const reply = { embeds: [embed] };
+        const samples = this.shardTracker.history(session.id, Date.now() - HISTORY_RANGES[range]);
+        if (samples.length > 1) {
+            const chart = renderLineChart(samples.map(sample => ({ time: sample.time, value: sample.balance })));
+            reply.files = [new AttachmentBuilder(chart, { name: 'shards.png' })];
+            embed.setImage('attachment://shards.png');
+        }
 
+        await interaction.editReply(reply);
+    }
+
+    // Handle /inventory subcommands
+    async handleInventoryCommand(interaction) {
+        const session = await this.getInteractionSession(interaction);
+        if (!session) return;
+
+        const bot = session.minecraftBot;
+        if (!session.isConnected || !bot) {
+            await interaction.reply({ content: `❌ ${session.id} is not connected to the Minecraft server!`, ephemeral: true });
+            return;
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'view') {
+            await interaction.reply({ embeds: [this.createInventoryEmbed(session, getInventory(bot))], ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
         try {
-            // Set up message listener for shards response
-            const messageListener = (message) => {
-                const messageText = message.toString();
-                
-                // Look for shards information in the message
-                if (messageText.includes('shard') || messageText.includes('Shard')) {
-                    this.handleShardsResponse(interaction, messageText);
-                    this.minecraftBot.removeListener('message', messageListener);
-                }
-            };
+            let content;
+            if (subcommand === 'drop') {
+                const item = await dropSlot(bot, interaction.options.getInteger('slot'));
+                content = `🗑️ Dropped ${item.displayName} ×${item.count} from slot ${item.slot}`;
+            } else if (subcommand === 'equip') {
+                const { item, destination } = await equipItem(bot, interaction.options.getString('item'));
+                content = `🛡️ Equipped ${item.displayName} (${destination})`;
+            } else {
+                const { name, count, stacks } = await tossAll(bot, interaction.options.getString('item'));
+                content = `🗑️ Dropped ${count} ${name} from ${stacks} stack(s)`;
+            }
+
+            log.info(`🎒 [${session.id}] ${interaction.user.tag}: ${content}`);
+            await interaction.editReply({ content });
+        } catch (error) {
+            await interaction.editReply({ content: `❌ ${error.message}` });
+        }
+    }
+
+    createInventoryEmbed(session, inventory) {
+        const formatItem = (item) => {
+            const durability = item.maxDurability ? ` (${item.durability}/${item.maxDurability})` : '';
+            return `\`${item.slot}\` ${escapeMarkdown(item.displayName)} ×${item.count}${durability}`;
+        };
+        const list = (items) => items.length > 0 ? items.map(formatItem).join('\n').substring(0, 1024) : 'Empty';
+
+        const armorNames = { head: '🪖', torso: '👕', legs: '👖', feet: '👢' };
+        const armor = Object.entries(inventory.armor)
+            .map(([slot, item]) => `${armorNames[slot]} ${item ? formatItem(item) : 'None'}`)
+            .join('\n');
+
+        const hotbar = inventory.items.filter(item => item.slot >= 36 && item.slot <= 44);
+        const main = inventory.items.filter(item => item.slot >= 9 && item.slot <= 35);
+
+        return new EmbedBuilder()
+            .setTitle(`🎒 Inventory — ${session.id}`)
+            .setColor('#8b5a2b')
+            .addFields(
+                { name: '🛡️ Armor', value: armor, inline: true },
+                { name: '✋ Offhand', value: inventory.offhand ? formatItem(inventory.offhand) : 'None', inline: true },
+                { name: `🔢 Hotbar (holding slot ${inventory.heldSlot})`, value: list(hotbar), inline: false },
+                { name: '📦 Main Inventory', value: list(main), inline: false }
+            )
+            .setFooter({ text: `${inventory.freeSlots} free slot(s) | Slot numbers work with /inventory drop` })
+            .setTimestamp();
+    }
+
+    // Handle /ah subcommands
+    async handleAuctionCommand(interaction) {
+        const session = await this.getInteractionSession(interaction);
+        if (!session) return;
+
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'sales') {
+            const sales = this.auctionHouse.sales(session.id).slice(-10).reverse();
+            const embed = new EmbedBuilder()
+                .setTitle(`💵 Sales — ${session.id}`)
+                .setColor('#2ecc71')
+                .setDescription(sales.length > 0
+                    ? sales.map(sale => `<t:${Math.floor(sale.time / 1000)}:R> ${sale.count} item(s)`
+                        + ` for ${sale.proceeds !== null ? `$${formatNumber(sale.proceeds)}` : 'an unknown amount'}`).join('\n')
+                    : 'Nothing sold yet.')
+                .addFields(
+                    ...Object.entries(HISTORY_RANGES).map(([range, ms]) => ({
+                        name: `📅 Last ${range}`,
+                        value: `$${formatNumber(this.auctionHouse.totalProceeds(session.id, Date.now() - ms))}`,
+                        inline: true
+                    }))
+                )
+                .setTimestamp();
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: subcommand === 'sell' });
+        try {
+            if (subcommand === 'sell') {
+                const sale = await this.auctionHouse.sell(session);
+                await interaction.editReply({
+                    content: sale
+                        ? `💵 Sold ${sale.count} item(s)${sale.proceeds !== null ? ` for $${formatNumber(sale.proceeds)}` : ''}`
+                        : `ℹ️ Nothing to sell. Configured items: ${CONFIG.auction.sell.items.join(', ') || 'none'}`
+                });
+                return;
+            }
 
-            // Add temporary message listener
-            this.minecraftBot.on('message', messageListener);
+            const query = interaction.options.getString('item');
+            const listings = await this.auctionHouse.search(session, query);
+            if (listings.length === 0) {
+                await interaction.editReply({ content: `🔍 No listings found for \`${query}\`` });
+                return;
+            }
 
-            // Send the /shards command
-            this.minecraftBot.chat('/shards');
-            console.log('💎 Requested shards information from server');
+            const rows = listings.slice(0, 15).map(listing => [
+                listing.name.substring(0, 24),
+                String(listing.count),
+                formatNumber(listing.price),
+                formatNumber(listing.unitPrice),
+                listing.seller || '?'
+            ]);
+            const header = ['Item', 'Qty', 'Price', 'Each', 'Seller'];
+            const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)));
+            const line = (row) => row.map((cell, index) => cell.padEnd(widths[index])).join('  ');
+            const table = [line(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+
+            await interaction.editReply({
+                content: `🔍 **${listings.length}** listing(s) for \`${query}\`, cheapest first\n\`\`\`\n${table}\n\`\`\``.substring(0, 2000)
+            });
+        } catch (error) {
+            discordLog.error(`💵 [${session.id}] /ah ${subcommand} failed:`, error.message);
+            await interaction.editReply({ content: `❌ ${error.message}` });
+        }
+    }
+
+    // Handle /storage subcommands
+    async handleStorageCommand(interaction) {
+        const session = await this.getInteractionSession(interaction);
+        if (!session) return;
+
+        const subcommand = interaction.options.getSubcommand();
+        const formatPosition = (position) => `${position.x} ${position.y} ${position.z}`;
+
+        try {
+            switch (subcommand) {
+                case 'add': {
+                    const [x, y, z] = ['x', 'y', 'z'].map(axis => interaction.options.getInteger(axis));
+                    let position;
+                    if (x !== null && y !== null && z !== null) {
+                        position = { x, y, z };
+                    } else if (x === null && y === null && z === null) {
+                        position = this.autoDeposit.targetedContainer(session);
+                        if (!position) {
+                            throw new Error('Give x, y and z, or have the bot look at a chest or barrel');
+                        }
+                    } else {
+                        throw new Error('Give all of x, y and z');
+                    }
 
-            // Remove listener after 10 seconds if no response
-            setTimeout(() => {
-                this.minecraftBot.removeListener('message', messageListener);
-                if (!interaction.replied) {
-                    interaction.editReply({
-                        content: '⏰ No response from server. The /shards command may not be available or took too long to respond.'
+                    this.autoDeposit.addContainer(session, position);
+                    await interaction.reply({ content: `✅ Container at ${formatPosition(position)} added`, ephemeral: true });
+                    return;
+                }
+                case 'remove': {
+                    const removed = this.autoDeposit.removeContainer(session, interaction.options.getInteger('number'));
+                    await interaction.reply({ content: `🗑️ Container at ${formatPosition(removed)} removed`, ephemeral: true });
+                    return;
+                }
+                case 'filter': {
+                    const filter = (interaction.options.getString('items') || '')
+                        .split(',').map(item => item.trim().toLowerCase().replace(/\s+/g, '_')).filter(Boolean);
+                    this.autoDeposit.updateAccount(session.id, { filter });
+                    await interaction.reply({
+                        content: filter.length > 0 ? `✅ Only depositing: ${filter.join(', ')}` : '✅ Depositing everything except kept items',
+                        ephemeral: true
                     });
+                    return;
                 }
-            }, 10000);
-
+                case 'auto': {
+                    const enabled = interaction.options.getBoolean('enabled');
+                    this.autoDeposit.updateAccount(session.id, { auto: enabled });
+                    await interaction.reply({ content: `✅ Automatic deposits ${enabled ? 'on' : 'off'} for ${session.id}`, ephemeral: true });
+                    return;
+                }
+                case 'deposit': {
+                    await interaction.deferReply({ ephemeral: true });
+                    const result = await this.autoDeposit.deposit(session, { manual: true });
+                    const problems = result.problems.length > 0 ? `\n⚠️ ${result.problems.join('\n⚠️ ')}` : '';
+                    await interaction.editReply({
+                        content: `📦 ${this.formatStoredItems(result.stored)}\n🎒 ${result.freeSlots} free slot(s)${problems}`.substring(0, 2000)
+                    });
+                    return;
+                }
+            }
         } catch (error) {
-            console.error('💎 Error requesting shards:', error);
-            await interaction.editReply({ 
-                content: '❌ Failed to request shards information!' 
+            const reply = { content: `❌ ${error.message}`, ephemeral: true };
+            await (interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply));
+            return;
+        }
+
+        const settings = this.autoDeposit.getAccount(session.id);
+        const embed = new EmbedBuilder()
+            .setTitle(`📦 Storage — ${session.id}`)
+            .setColor('#8b5a2b')
+            .addFields(
+                {
+                    name: '🧰 Containers',
+                    value: settings.containers.length > 0
+                        ? settings.containers.map((position, index) => `**${index + 1}.** ${formatPosition(position)}`).join('\n').substring(0, 1024)
+                        : 'None, add one with /storage add',
+                    inline: false
+                },
+                { name: '🔍 Filter', value: settings.filter.length > 0 ? settings.filter.join(', ').substring(0, 1024) : 'Everything', inline: true },
+                { name: '🛑 Always Kept', value: CONFIG.storage.keep.join(', ') || 'Nothing', inline: true },
+                { name: '⚙️ Automatic', value: settings.auto && CONFIG.storage.enabled ? 'On' : 'Off', inline: true }
+            )
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    // Handle /nearby command
+    async handleNearbyCommand(interaction) {
+        const session = await this.getInteractionSession(interaction);
+        if (!session) return;
+
+        const scan = this.playerRadar.scan(session);
+        if (!session.isConnected || !scan) {
+            await interaction.reply({ content: `❌ ${session.id} is not connected to the Minecraft server!`, ephemeral: true });
+            return;
+        }
+
+        const format = (entry) => `**${escapeMarkdown(entry.name)}** ${entry.distance}m (${this.formatCoords(entry.position)})`;
+        const embed = new EmbedBuilder()
+            .setTitle(`📡 Nearby — ${session.id}`)
+            .setColor(scan.players.some(player => !player.whitelisted) ? '#ff9900' : '#00ff00')
+            .addFields(
+                {
+                    name: `🧑 Players (${scan.players.length})`,
+                    value: scan.players.length > 0
+                        ? scan.players.map(player => `${format(player)}${player.whitelisted ? ' ✅' : ''}`).join('\n').substring(0, 1024)
+                        : 'Nobody in render distance',
+                    inline: false
+                },
+                {
+                    name: `👾 Hostile Mobs (${scan.hostiles.length})`,
+                    value: scan.hostiles.length > 0
+                        ? scan.hostiles.slice(0, 15).map(format).join('\n').substring(0, 1024)
+                        : `None within ${CONFIG.radar.mobRange} blocks`,
+                    inline: false
+                }
+            )
+            .setFooter({ text: '✅ = whitelisted' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    // Handle /radar subcommands
+    async handleRadarCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            const whitelist = this.playerRadar.whitelist;
+            await interaction.reply({
+                content: whitelist.length > 0
+                    ? `✅ Ignored players: ${whitelist.map(name => `\`${name}\``).join(', ')}`
+                    : 'No players are ignored yet, add friends with /radar add.',
+                ephemeral: true
             });
+            return;
+        }
+
+        const player = interaction.options.getString('player');
+        if (!PLAYER_NAME.test(player)) {
+            await interaction.reply({ content: '❌ That is not a valid Minecraft username.', ephemeral: true });
+            return;
         }
+
+        if (subcommand === 'add') {
+            const added = this.playerRadar.addToWhitelist(player);
+            await interaction.reply({ content: added ? `✅ The radar now ignores \`${player}\`` : `ℹ️ \`${player}\` is already ignored`, ephemeral: true });
+            return;
+        }
+
+        const removed = this.playerRadar.removeFromWhitelist(player);
+        await interaction.reply({
+            content: removed
+                ? `🗑️ \`${player}\` removed from the whitelist`
+                : `❌ \`${player}\` is not on the /radar whitelist${CONFIG.radar.whitelist.some(name => name.toLowerCase() === player.toLowerCase()) ? ' (it is set in the config file)' : ''}`,
+            ephemeral: true
+        });
+    }
+
+    // Handle /antiafk subcommands
+    async handleAntiAfkCommand(interaction) {
+        const session = await this.getInteractionSession(interaction);
+        if (!session) return;
+
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand !== 'status') {
+            const actions = interaction.options.getString('actions')
+                ?.split(',').map(action => action.trim().toLowerCase()).filter(Boolean);
+
+            try {
+                this.antiAfk.setEnabled(session, subcommand === 'on', actions?.length ? actions : null);
+            } catch (error) {
+                await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+                return;
+            }
+            this.updateEmbed(session);
+        }
+
+        const status = this.antiAfk.getStatus(session);
+        const lastRun = status.lastRun
+            ? `${status.lastRun.ok ? '✅' : '❌'} ${status.lastRun.action}${status.lastRun.detail ? ` (${status.lastRun.detail})` : ''} <t:${Math.floor(status.lastRun.time / 1000)}:R>`
+            : 'Nothing yet';
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🕹️ Anti-AFK — ${session.id}`)
+            .setColor(status.enabled ? '#00ff00' : '#808080')
+            .addFields(
+                { name: '⚙️ State', value: status.enabled ? (status.running ? 'On, running' : 'On, starts after joining') : 'Off', inline: true },
+                { name: '🎲 Actions', value: status.actions.join(', '), inline: true },
+                {
+                    name: '⏱️ Interval',
+                    value: `${Math.round(CONFIG.antiAfk.minInterval / 1000)}-${Math.round(CONFIG.antiAfk.maxInterval / 1000)}s`,
+                    inline: true
+                },
+                { name: '📋 Last Action', value: lastRun, inline: false }
+            )
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: subcommand === 'status' });
+    }
+
+    // Handle /serverinfo command
+    async handleServerInfoCommand(interaction) {
+        await interaction.deferReply();
+        const ping = await this.serverStatus.check({ maxAge: 0 });
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📡 ${ping.host}:${ping.port}`)
+            .setColor(!ping.online ? '#ff0000' : ping.versionMismatch ? '#ffa500' : '#00ff00')
+            .setTimestamp(ping.checkedAt);
+
+        if (!ping.online) {
+            embed.setDescription(`🔴 The server did not answer the status ping.\n\`${ping.error}\``);
+            await interaction.editReply({ embeds: [embed] });
+            return;
+        }
+
+        embed.setDescription(escapeMarkdown(ping.motd).substring(0, 4000) || 'No MOTD')
+            .addFields(
+                { name: '👥 Players', value: `${ping.players.online}/${ping.players.max}`, inline: true },
+                { name: '📦 Version', value: `${ping.version.name} (protocol ${ping.version.protocol})`, inline: true },
+                { name: '📶 Latency', value: `${ping.latency}ms`, inline: true }
+            );
+
+        if (ping.players.sample.length > 0) {
+            embed.addFields({ name: '🧑 Sample', value: escapeMarkdown(ping.players.sample.join(', ')).substring(0, 1024), inline: false });
+        }
+        if (ping.versionMismatch) {
+            embed.addFields({ name: '⚠️ Version Mismatch', value: this.getVersionMismatchText(ping), inline: false });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+
+    // Handle /uptime command
+    async handleUptimeCommand(interaction) {
+        const session = await this.getInteractionSession(interaction);
+        if (!session) return;
+
+        const stats = this.sessionHistory.stats(session.id, HISTORY_RANGES);
+        const duration = (ms) => ms >= 60000 ? formatDuration(ms) : '<1m';
+
+        const embed = new EmbedBuilder()
+            .setTitle(`⏱️ Uptime — ${session.id}`)
+            .setColor(session.isConnected ? '#00ff00' : '#ff0000')
+            .addFields(
+                ...Object.entries(stats.online).map(([range, { onlineMs, percentage }]) => ({
+                    name: `📊 Last ${range}`,
+                    value: `${percentage}% (${duration(onlineMs)})`,
+                    inline: true
+                })),
+                {
+                    name: '🟢 Current Session',
+                    value: stats.current ? `${duration(stats.current.duration)} since <t:${Math.floor(stats.current.loginAt / 1000)}:R>` : 'Offline',
+                    inline: true
+                },
+                {
+                    name: '🏆 Longest Session',
+                    value: stats.longestSession
+                        ? `${duration(stats.longestSession.duration)} from <t:${Math.floor(stats.longestSession.loginAt / 1000)}:f>`
+                        : 'No sessions yet',
+                    inline: true
+                },
+                { name: '🔄 Sessions / Reconnects', value: `${stats.sessionCount} / ${stats.reconnects}`, inline: true },
+                {
+                    name: '👢 Top Kick Reasons',
+                    value: stats.topKickReasons.length > 0
+                        ? stats.topKickReasons.map(({ reason, count }) => `**${count}×** ${escapeMarkdown(reason)}`).join('\n').substring(0, 1024)
+                        : 'No kicks recorded',
+                    inline: false
+                }
+            )
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed] });
     }
 
     // Handle /status command
     async handleStatusCommand(interaction) {
+        const selector = interaction.options.getString('account');
+        let sessions = [...this.sessions.values()];
+        if (selector) {
+            const session = await this.getInteractionSession(interaction);
+            if (!session) return;
+            sessions = [session];
+        }
+
+        const connectedCount = sessions.filter(session => session.isConnected).length;
         const embed = new EmbedBuilder()
             .setTitle('🤖 Bot Status')
-            .setColor(this.isConnected ? '#00ff00' : '#ff0000')
+            .setColor(connectedCount === sessions.length ? '#00ff00' : connectedCount > 0 ? '#ff9900' : '#ff0000')
             .addFields(
-                { name: '🎮 Minecraft', value: this.isConnected ? '✅ Connected' : '❌ Disconnected', inline: true },
+                { name: '🎮 Minecraft', value: `${connectedCount}/${sessions.length} connected`, inline: true },
                 { name: '💬 Discord', value: '✅ Connected', inline: true },
                 { name: '🌐 Web Server', value: `✅ Running on port ${CONFIG.webServer.port}`, inline: true }
             );
 
-        if (this.isConnected && this.minecraftBot) {
-            embed.addFields(
-                { name: '👤 Username', value: this.minecraftBot.username || 'Unknown', inline: true },
-                { name: '🌍 World', value: this.currentWorld, inline: true },
-                { name: '📍 Position', value: `X: ${Math.round(this.currentCoords.x)}, Y: ${Math.round(this.currentCoords.y)}, Z: ${Math.round(this.currentCoords.z)}`, inline: true }
-            );
+        for (const session of sessions.slice(0, 20)) {
+            const lines = [session.getStatusText()];
+            if (session.isConnected && session.minecraftBot) {
+                lines.push(`🌍 ${session.currentWorld}`);
+                lines.push(`📍 ${this.formatCoords(session.currentCoords)}`);
+                lines.push(this.formatVitals(session.minecraftBot));
+            }
+            embed.addFields({ name: `👤 ${session.id}`, value: lines.join('\n'), inline: false });
         }
 
         embed.setTimestamp();
@@ -881,134 +2578,389 @@ class MinecraftDiscordBot {
 
     // Handle /connect command
     async handleConnectCommand(interaction) {
-        if (this.isConnected) {
-            await interaction.reply({ 
-                content: '✅ Bot is already connected to the Minecraft server!', 
-                ephemeral: true 
+        const session = await this.getInteractionSession(interaction);
+        if (!session) return;
+
+        if (session.isConnected) {
+            await interaction.reply({
+                content: `✅ ${session.id} is already connected to the Minecraft server!`,
+                ephemeral: true
             });
             return;
         }
 
-        this.shouldJoin = true;
-        this.reconnectAttempts = 0;
-        await this.connectToMinecraft();
-        
-        await interaction.reply({ 
-            content: '🔄 Attempting to connect to the Minecraft server...', 
-            ephemeral: true 
+        // Answer first: the token refresh and server ping can outlast Discord's 3s reply window
+        await interaction.reply({
+            content: `🔄 Attempting to connect ${session.id} to the Minecraft server...`,
+            ephemeral: true
         });
+
+        session.join().catch(error => discordLog.error(`Failed to connect ${session.id}:`, error));
     }
 
     // Handle /disconnect command
     async handleDisconnectCommand(interaction) {
-        if (!this.isConnected) {
-            await interaction.reply({ 
-                content: '❌ Bot is not connected to the Minecraft server!', 
-                ephemeral: true 
+        const session = await this.getInteractionSession(interaction);
+        if (!session) return;
+
+        if (!session.isConnected) {
+            await interaction.reply({
+                content: `❌ ${session.id} is not connected to the Minecraft server!`,
+                ephemeral: true
             });
             return;
         }
 
-        this.shouldJoin = false;
-        this.reconnectAttempts = 0;
-        
-        if (this.minecraftBot) {
-            this.minecraftBot.quit();
-            this.minecraftBot = null;
-        }
-        
-        await this.updateEmbed();
-        await interaction.reply({ 
-            content: '✅ Bot disconnected from the Minecraft server!', 
-            ephemeral: true 
+        session.disconnect();
+        await interaction.reply({
+            content: `✅ ${session.id} disconnected from the Minecraft server!`,
+            ephemeral: true
         });
     }
 
-    // Handle shards response from Minecraft
-    async handleShardsResponse(interaction, messageText) {
+    // Handle /webhooks subcommands
+    async handleWebhooksCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const id = interaction.options.getString('webhook');
+
         try {
-            console.log('💎 Received shards response:', messageText);
-            
-            // Parse the message to extract shard information
-            let shardsInfo = 'Unknown';
-            
-            // Look for various patterns that might indicate shard count
-            const patterns = [
-                /shards?[:\s]+([0-9,]+)/i,
-                /([0-9,]+)\s+shards?/i,
-                /balance[:\s]+([0-9,]+)/i,
-                /you\s+have[:\s]+([0-9,]+)/i
-            ];
-            
-            for (const pattern of patterns) {
-                const match = messageText.match(pattern);
-                if (match) {
-                    shardsInfo = match[1];
-                    break;
-                }
+            if (subcommand === 'list') {
+                const hooks = this.webhooks.list();
+                const embed = new EmbedBuilder()
+                    .setTitle('🪝 Webhooks')
+                    .setColor('#9b59b6')
+                    .setDescription(hooks.length > 0
+                        ? hooks.map(hook => `\`${hook.id}\` ${hook.enabled ? '🟢' : '⏸️'} ${escapeMarkdown(hook.url)}\n└ ${hook.events.join(', ')}`).join('\n').substring(0, 4000)
+                        : 'No webhooks yet, add one with /webhooks add.')
+                    .setFooter({ text: CONFIG.webhooks.enabled ? 'Deliveries are on' : 'Deliveries are off in config.webhooks' })
+                    .setTimestamp();
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                return;
+            }
+
+            if (subcommand === 'deliveries') {
+                const deliveries = this.webhooks.deliveries({ hookId: id, limit: interaction.options.getInteger('limit') || 10 });
+                const icons = { delivered: '✅', pending: '⏳', failed: '❌' };
+                const embed = new EmbedBuilder()
+                    .setTitle(`🪝 Deliveries${id ? ` — ${id}` : ''}`)
+                    .setColor('#9b59b6')
+                    .setDescription(deliveries.length > 0
+                        ? deliveries.map(delivery => `${icons[delivery.status]} <t:${Math.floor(delivery.time / 1000)}:R> \`${delivery.hookId}\` ${delivery.event}`
+                            + `${delivery.account ? ` (${delivery.account})` : ''} — ${delivery.attempts} attempt(s)`
+                            + `${delivery.error ? `: ${escapeMarkdown(delivery.error)}` : ''}`
+                            + `${delivery.nextAttemptAt ? `, retry <t:${Math.floor(delivery.nextAttemptAt / 1000)}:R>` : ''}`).join('\n').substring(0, 4000)
+                        : 'No deliveries yet.')
+                    .setTimestamp();
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                return;
+            }
+
+            if (subcommand === 'add') {
+                const hook = this.webhooks.add({
+                    url: interaction.options.getString('url'),
+                    events: interaction.options.getString('events'),
+                    createdBy: interaction.user.tag
+                });
+                await interaction.reply({
+                    content: `🪝 Added webhook \`${hook.id}\` for ${hook.events.join(', ')}.\n`
+                        + `Signing secret (shown once): ||\`${hook.secret}\`||\n`
+                        + 'Verify `X-Webhook-Signature` = `sha256=` + HMAC-SHA256 of `<X-Webhook-Timestamp>.<body>`.',
+                    ephemeral: true
+                });
+                return;
             }
-            
-            // Create embed with shard information
+
+            if (subcommand === 'test') {
+                await interaction.deferReply({ ephemeral: true });
+                const delivery = await this.webhooks.test(id);
+                await interaction.editReply({
+                    content: delivery.status === 'delivered'
+                        ? `✅ Test delivered to \`${id}\` (HTTP ${delivery.responseStatus})`
+                        : `❌ Test to \`${id}\` failed: ${delivery.error}${delivery.nextAttemptAt ? ', retrying' : ''}`
+                });
+                return;
+            }
+
+            if (subcommand === 'remove') {
+                this.webhooks.remove(id);
+                await interaction.reply({ content: `🗑️ Removed webhook \`${id}\``, ephemeral: true });
+                return;
+            }
+
+            const enabled = subcommand === 'enable';
+            this.webhooks.update(id, { enabled });
+            await interaction.reply({ content: `${enabled ? '🟢 Resumed' : '⏸️ Paused'} webhook \`${id}\``, ephemeral: true });
+        } catch (error) {
+            const reply = { content: `❌ ${error.message}`, ephemeral: true };
+            await (interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply));
+        }
+    }
+
+    // Handle /audit command
+    async handleAuditCommand(interaction) {
+        const user = interaction.options.getUser('user');
+        const entries = this.auditLog.list({ actor: user?.id, limit: interaction.options.getInteger('limit') || 15 });
+
+        const outcomes = { ok: '✅', denied: '🚫', error: '⚠️' };
+        const lines = entries.map(entry => {
+            const args = Object.entries(entry.args).map(([key, value]) => `${key}=${value}`).join(' ');
+            const who = entry.source === 'web' ? `${entry.actor} @ ${entry.ip}` : entry.actor;
+            return `${outcomes[entry.outcome] || '❔'} <t:${Math.floor(entry.time / 1000)}:R> **${escapeMarkdown(who)}** (${entry.source})`
+                + ` ${escapeMarkdown(entry.action)}${entry.account ? ` → ${entry.account}` : ''}${args ? ` \`${args.replace(/`/g, "'").substring(0, 200)}\`` : ''}`;
+        });
+
+        // Keep whole lines within the description limit
+        let description = '';
+        for (const line of lines) {
+            if (description.length + line.length + 1 > 4000) break;
+            description += `${line}\n`;
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📝 Audit Log${user ? ` — ${user.tag}` : ''}`)
+            .setColor('#95a5a6')
+            .setDescription(description || 'No actions recorded.')
+            .setTimestamp();
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    // Handle /permissions subcommands
+    async handlePermissionsCommand(interaction) {
+        if (interaction.options.getSubcommand() === 'denied') {
+            const entries = this.permissions.denied(interaction.options.getInteger('limit') || 10);
             const embed = new EmbedBuilder()
-                .setTitle('💎 Shard Balance')
-                .setColor('#9d4edd')
+                .setTitle('🚫 Denied Attempts')
+                .setColor('#e74c3c')
+                .setDescription(entries.length > 0
+                    ? entries.map(entry => `<t:${Math.floor(entry.time / 1000)}:R> **${entry.source}** ${escapeMarkdown(entry.who)}: ${escapeMarkdown(entry.action)} (needs ${entry.capability})`).join('\n').substring(0, 4000)
+                    : 'No denied attempts recorded.')
                 .setTimestamp();
-            
-            if (shardsInfo !== 'Unknown') {
-                embed.addFields({
-                    name: '💰 Available Shards',
-                    value: shardsInfo,
-                    inline: true
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        const user = interaction.options.getUser('user') || interaction.user;
+        const member = user.id === interaction.user.id ? interaction.member : interaction.options.getMember('user');
+        const capabilities = [...this.permissions.forDiscord(user.id, member)];
+        await interaction.reply({
+            content: `🔑 ${user} may use: ${capabilities.length > 0 ? capabilities.map(capability => `**${capability}**`).join(', ') : 'nothing'}`,
+            allowedMentions: { parse: [] },
+            ephemeral: true
+        });
+    }
+
+    // Handle /alerts subcommands
+    async handleAlertsCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'add') {
+            const account = interaction.options.getString('account');
+            if (account && !this.sessions.has(account)) {
+                await interaction.reply({ content: `❌ ${this.getSessionError(account)}`, ephemeral: true });
+                return;
+            }
+
+            const role = interaction.options.getRole('role');
+            const user = interaction.options.getUser('user');
+            const cooldown = interaction.options.getInteger('cooldown');
+
+            let rule;
+            try {
+                rule = this.alertRules.add({
+                    pattern: interaction.options.getString('keyword'),
+                    isRegex: interaction.options.getBoolean('regex'),
+                    targetType: role ? 'role' : 'user',
+                    targetId: role ? role.id : (user || interaction.user).id,
+                    cooldown: cooldown !== null ? cooldown * 60000 : CONFIG.alerts.defaultCooldown,
+                    account,
+                    createdBy: interaction.user.id
                 });
-                embed.setDescription('Current shard balance on your account');
+            } catch (error) {
+                await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+                return;
+            }
+
+            await interaction.reply({
+                content: `✅ Alert \`${rule.id}\` added: ${describeTarget(rule)} gets pinged for \`${rule.pattern}\``,
+                allowedMentions: { parse: [] },
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (subcommand === 'remove') {
+            const removed = this.alertRules.remove(interaction.options.getString('id'));
+            await interaction.reply({
+                content: removed ? `🗑️ Alert \`${removed.id}\` (\`${removed.pattern}\`) removed` : '❌ No alert with that id.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const rules = this.alertRules.rules;
+        const embed = new EmbedBuilder()
+            .setTitle('🚨 Alert Rules')
+            .setColor('#e67e22')
+            .setDescription(rules.length > 0
+                ? rules.map(rule => `\`${rule.id}\` ${rule.isRegex ? 'regex' : 'keyword'} \`${rule.pattern}\` → ${describeTarget(rule)}`
+                    + ` · cooldown ${Math.round(rule.cooldown / 60000)}m${rule.account ? ` · ${rule.account} only` : ''}`).join('\n').substring(0, 4000)
+                : 'No alert rules yet, add one with /alerts add.')
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], allowedMentions: { parse: [] }, ephemeral: true });
+    }
+
+    // Handle /inbox command
+    async handleInboxCommand(interaction) {
+        const messages = this.inbox.list({
+            account: interaction.options.getString('account'),
+            player: interaction.options.getString('player'),
+            limit: interaction.options.getInteger('limit') || 10
+        });
+
+        if (messages.length === 0) {
+            await interaction.reply({ content: '📭 No private messages yet.', ephemeral: true });
+            return;
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle('📬 Inbox')
+            .setColor('#5865f2')
+            .setDescription(messages.map(entry =>
+                `<t:${Math.floor(entry.time / 1000)}:R> **${entry.player}** → ${entry.account}: ${entry.message}`.substring(0, 300)
+            ).join('\n').substring(0, 4000))
+            .setFooter({ text: 'Use the Reply button on a message to answer' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    // Handle /logs command
+    async handleLogsCommand(interaction) {
+        const entries = logManager.getEntries({
+            level: interaction.options.getString('level') || 'info',
+            tag: interaction.options.getString('tag'),
+            limit: interaction.options.getInteger('limit') || 20
+        });
+
+        if (entries.length === 0) {
+            await interaction.reply({ content: '📭 No matching log entries.', ephemeral: true });
+            return;
+        }
+
+        // Keep the newest entries that fit into one Discord message
+        const lines = [];
+        let length = 0;
+        for (const entry of [...entries].reverse()) {
+            const line = `${entry.time.substring(11, 19)} ${entry.level.toUpperCase().padEnd(5)} [${entry.tag}] ${entry.message}`.substring(0, 300);
+            if (length + line.length + 1 > 1900) break;
+            lines.unshift(line);
+            length += line.length + 1;
+        }
+
+        await interaction.reply({ content: `\`\`\`\n${lines.join('\n')}\n\`\`\``, ephemeral: true });
+    }
+
+    // Handle /onjoin subcommands
+    async handleOnJoinCommand(interaction) {
+        const session = await this.getInteractionSession(interaction);
+        if (!session) return;
+
+        const subcommand = interaction.options.getSubcommand();
+        const account = session.account;
+
+        const buildStep = () => {
+            let step;
+            if (subcommand === 'add-chat') {
+                step = { type: 'chat', message: interaction.options.getString('message') };
+            } else if (subcommand === 'add-wait') {
+                step = { type: 'wait', ms: Math.round(interaction.options.getNumber('seconds') * 1000) };
             } else {
-                embed.setDescription('Shard information received but could not parse the amount.');
-                embed.addFields({
-                    name: '📋 Raw Response',
-                    value: messageText.substring(0, 1000), // Limit length
-                    inline: false
-                });
+                step = { type: 'waitForChat', pattern: interaction.options.getString('pattern') };
+                const timeout = interaction.options.getNumber('timeout');
+                if (timeout) step.timeout = Math.round(timeout * 1000);
             }
-            
-            if (!interaction.replied) {
-                const reply = await interaction.editReply({ embeds: [embed] });
-                
-                // Delete the message after 10 seconds
-                setTimeout(async () => {
-                    try {
-                        await reply.delete();
-                        console.log('💎 Shards message auto-deleted after 10 seconds');
-                    } catch (error) {
-                        console.error('⚠️ Failed to delete shards message:', error.message);
+
+            const dimension = interaction.options.getString('dimension');
+            if (dimension) step.if = { dimension };
+            return step;
+        };
+
+        try {
+            switch (subcommand) {
+                case 'add-chat':
+                case 'add-wait':
+                case 'add-wait-for-chat': {
+                    const position = interaction.options.getInteger('position') ?? undefined;
+                    this.onJoinScripts.addStep(account, buildStep(), position);
+                    break;
+                }
+                case 'remove':
+                    this.onJoinScripts.removeStep(account, interaction.options.getInteger('step'));
+                    break;
+                case 'clear':
+                    this.onJoinScripts.setScript(account, []);
+                    break;
+                case 'reset':
+                    this.onJoinScripts.reset(account);
+                    break;
+                case 'run':
+                    if (!session.isConnected) {
+                        await interaction.reply({ content: `❌ ${session.id} is not connected to the Minecraft server!`, ephemeral: true });
+                        return;
                     }
-                }, 10000);
+                    session.runOnJoin().catch(error => {
+                        discordLog.error(`📜 [${session.id}] On-join script failed:`, error);
+                    });
+                    await interaction.reply({ content: `📜 Running on-join script for ${session.id}...`, ephemeral: true });
+                    return;
             }
-            
         } catch (error) {
-            console.error('💎 Error processing shards response:', error);
-            if (!interaction.replied) {
-                await interaction.editReply({
-                    content: '❌ Error processing shards response!'
-                });
-            }
+            await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+            return;
         }
+
+        const steps = this.onJoinScripts.getScript(account);
+        const embed = new EmbedBuilder()
+            .setTitle(`📜 On-Join Script — ${session.id}`)
+            .setColor('#3498db')
+            .setDescription(steps.length > 0
+                ? steps.map((step, index) => `**${index + 1}.** ${describeStep(step)}`).join('\n').substring(0, 4000)
+                : 'No steps, nothing runs after joining.')
+            .setFooter({ text: this.onJoinScripts.hasCustomScript(account.id) ? 'Custom script' : 'Default script from config' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: subcommand !== 'show' });
     }
 
     // Graceful shutdown method
     async shutdown() {
-        console.log('Shutting down services...');
+        log.info('Shutting down services...');
 
         // Clear intervals
         if (this.statusUpdateInterval) {
             clearInterval(this.statusUpdateInterval);
         }
-        if (this.authCheckInterval) {
-            clearInterval(this.authCheckInterval);
+        if (this.tokenRefreshInterval) {
+            clearInterval(this.tokenRefreshInterval);
         }
-
-        // Close Minecraft connection
-        if (this.minecraftBot) {
-            this.minecraftBot.quit();
+        configManager.unwatch();
+        logManager.detachDiscord();
+        this.chatRelay.stop();
+        this.shardTracker.stop();
+        this.sessionHistory.stop();
+        this.serverStatus.stop();
+        this.antiAfk.stop();
+        this.autoDeposit.stop();
+        this.auctionHouse.stop();
+        // Open event streams would keep the web server from closing
+        this.eventStream.stop();
+        this.webhooks.stop();
+        this.permissions.flush();
+
+        // Close Minecraft connections
+        for (const session of this.sessions.values()) {
+            session.shutdown();
         }
 
         // Close Discord connection
@@ -1020,7 +2972,7 @@ class MinecraftDiscordBot {
         if (this.server) {
             return new Promise((resolve) => {
                 this.server.close(() => {
-                    console.log('Web server closed');
+                    webLog.info('Web server closed');
                     resolve();
                 });
             });
@@ -1031,21 +2983,21 @@ class MinecraftDiscordBot {
 // Start the bot
 const bot = new MinecraftDiscordBot();
 bot.start().then(() => {
-    console.log('All services started successfully!');
+    log.info('All services started successfully!');
 }).catch((error) => {
-    console.error('Failed to start services:', error);
+    log.error('Failed to start services:', error);
     process.exit(1);
 });
 
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
-    console.log(`Received ${signal}, shutting down gracefully...`);
+    log.info(`Received ${signal}, shutting down gracefully...`);
     try {
         await bot.shutdown();
-        console.log('Shutdown complete');
+        log.info('Shutdown complete');
         process.exit(0);
     } catch (error) {
-        console.error('Error during shutdown:', error);
+        log.error('Error during shutdown:', error);
         process.exit(1);
     }
 };
@@ -1055,11 +3007,11 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-    console.error('Uncaught exception:', error);
+    log.error('Uncaught exception:', error);
     gracefulShutdown('uncaughtException');
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled rejection at:', promise, 'reason:', reason);
+    log.error('Unhandled rejection at:', promise, 'reason:', reason);
     gracefulShutdown('unhandledRejection');
 });
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+
+// Placeholder replaced by the in-game name of the account that saw the message
+const IGN_PLACEHOLDER = '{ign}';
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Keyword/regex rules evaluated against Minecraft chat. Rules are persisted,
+// cooldowns are per rule and per account and only kept in memory.
+class AlertRules {
+    constructor(filePath) {
+        this.store = new JsonStore(filePath, { rules: [] });
+        this.lastFired = new Map();
+        this.regexCache = new Map();
+    }
+
+    get rules() {
+        return this.store.data.rules;
+    }
+
+    add({ pattern, isRegex, targetType, targetId, cooldown, account, createdBy }) {
+        if (isRegex) {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                throw new Error(`Invalid regular expression: ${error.message}`);
+            }
+        }
+
+        const rule = {
+            id: crypto.randomBytes(3).toString('hex'),
+            pattern,
+            isRegex: !!isRegex,
+            targetType,
+            targetId,
+            cooldown,
+            account: account || null,
+            createdBy,
+            createdAt: Date.now()
+        };
+
+        this.rules.push(rule);
+        this.store.save();
+        return rule;
+    }
+
+    remove(id) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index === -1) return null;
+
+        const [removed] = this.rules.splice(index, 1);
+        this.store.save();
+        return removed;
+    }
+
+    toRegex(rule, ign) {
+        const name = escapeRegex(ign || IGN_PLACEHOLDER);
+        const parts = rule.pattern.split(IGN_PLACEHOLDER);
+        // Plain keywords match whole words only
+        const resolved = rule.isRegex
+            ? parts.join(name)
+            : `(?<!\\w)${parts.map(escapeRegex).join(name)}(?!\\w)`;
+
+        if (!this.regexCache.has(resolved)) {
+            this.regexCache.set(resolved, new RegExp(resolved, 'i'));
+        }
+        return this.regexCache.get(resolved);
+    }
+
+    // Rules that match and are not cooling down; marks them as fired
+    evaluate(accountId, ign, text, now = Date.now()) {
+        const matches = [];
+
+        for (const rule of this.rules) {
+            if (rule.account && rule.account !== accountId) continue;
+            if (!this.toRegex(rule, ign).test(text)) continue;
+
+            const key = `${rule.id}:${accountId}`;
+            const last = this.lastFired.get(key) || 0;
+            if (now - last < rule.cooldown) continue;
+
+            this.lastFired.set(key, now);
+            matches.push(rule);
+        }
+
+        return matches;
+    }
+}
+
+function describeTarget(rule) {
+    return rule.targetType === 'role' ? `<@&${rule.targetId}>` : `<@${rule.targetId}>`;
+}
+
+module.exports = {
+    AlertRules,
+    IGN_PLACEHOLDER,
+    describeTarget
+};
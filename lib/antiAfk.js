@@ -0,0 +1,207 @@
+const JsonStore = require('./jsonStore');
+
+const ACTIONS = ['look', 'jump', 'sneak', 'swing', 'walk'];
+const STEP_TIMEOUT = 3000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+// Walk towards a point on the same level until close enough or out of time
+async function walkTo(bot, target, isActive) {
+    const deadline = Date.now() + STEP_TIMEOUT;
+    await bot.lookAt(target.offset(0, bot.entity.height, 0), true);
+    bot.setControlState('forward', true);
+    try {
+        while (isActive() && Date.now() < deadline && distance(bot.entity.position, target) > 0.3) {
+            await sleep(50);
+        }
+    } finally {
+        bot.setControlState('forward', false);
+    }
+}
+
+// Small randomized movements that keep idle timers from kicking the bot.
+// Which accounts run them is persisted; the tuning comes from config.antiAfk.
+class AntiAfk {
+    constructor(filePath, config) {
+        this.store = new JsonStore(filePath, {});
+        this.config = config;
+        this.runners = new Map();
+        this.lastRun = new Map();
+    }
+
+    get settings() {
+        return this.config.antiAfk;
+    }
+
+    isEnabled(accountId) {
+        return this.store.data[accountId]?.enabled ?? this.settings.enabled;
+    }
+
+    getActions(accountId) {
+        return this.store.data[accountId]?.actions || this.settings.actions;
+    }
+
+    setEnabled(session, enabled, actions) {
+        if (actions) {
+            const unknown = actions.filter(action => !ACTIONS.includes(action));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown action(s) ${unknown.join(', ')}. Available: ${ACTIONS.join(', ')}`);
+            }
+        }
+
+        this.store.data[session.id] = {
+            enabled,
+            actions: actions || this.store.data[session.id]?.actions || null
+        };
+        this.store.save();
+
+        if (enabled && session.isConnected) {
+            this.startRunner(session);
+        } else if (!enabled) {
+            this.stopRunner(session.id);
+        }
+    }
+
+    attach(session) {
+        session.on('login', () => {
+            if (this.isEnabled(session.id)) this.startRunner(session);
+        });
+        session.on('disconnected', () => this.stopRunner(session.id));
+    }
+
+    startRunner(session) {
+        this.stopRunner(session.id);
+
+        const bot = session.minecraftBot;
+        const runner = { bot, timer: null, busy: false };
+        const isActive = () => this.runners.get(session.id) === runner && session.minecraftBot === bot && session.isConnected;
+
+        const schedule = () => {
+            const { minInterval, maxInterval } = this.settings;
+            runner.timer = setTimeout(async () => {
+                if (!isActive()) return;
+                await this.runRandomAction(session, bot, isActive);
+                if (isActive()) schedule();
+            }, randomBetween(minInterval, maxInterval));
+        };
+
+        this.runners.set(session.id, runner);
+        schedule();
+        session.log.info(`🕹️ Anti-AFK started (${this.getActions(session.id).join(', ')})`);
+    }
+
+    stopRunner(accountId) {
+        const runner = this.runners.get(accountId);
+        if (!runner) return;
+
+        clearTimeout(runner.timer);
+        this.runners.delete(accountId);
+        try {
+            runner.bot?.clearControlStates();
+        } catch {
+            // The bot may already be gone
+        }
+    }
+
+    async runRandomAction(session, bot, isActive) {
+        const actions = this.getActions(session.id);
+        const action = actions[Math.floor(Math.random() * actions.length)];
+        const result = { action, time: Date.now(), ok: true, detail: null };
+
+        try {
+            result.detail = await this.perform(action, session, bot, isActive);
+        } catch (error) {
+            result.ok = false;
+            result.detail = error.message;
+            session.log.warn(`🕹️ Anti-AFK ${action} failed:`, error.message);
+        }
+
+        this.lastRun.set(session.id, result);
+        return result;
+    }
+
+    async perform(action, session, bot, isActive) {
+        switch (action) {
+            case 'look': {
+                const yaw = randomBetween(-Math.PI, Math.PI);
+                const pitch = randomBetween(-0.5, 0.5);
+                await bot.look(yaw, pitch, false);
+                return null;
+            }
+            case 'jump':
+                bot.setControlState('jump', true);
+                await sleep(300);
+                bot.setControlState('jump', false);
+                return null;
+            case 'sneak':
+                bot.setControlState('sneak', true);
+                await sleep(randomBetween(800, 2000));
+                bot.setControlState('sneak', false);
+                return null;
+            case 'swing':
+                bot.swingArm('right');
+                return null;
+            case 'walk':
+                return this.walkSquare(session, bot, isActive);
+            default:
+                throw new Error(`Unknown action ${action}`);
+        }
+    }
+
+    // Walk a small square and check with the session's position tracking
+    // that we ended up where we started
+    async walkSquare(session, bot, isActive) {
+        const size = this.settings.walkDistance;
+        const start = bot.entity.position.clone();
+        const corners = [
+            start.offset(size, 0, 0),
+            start.offset(size, 0, size),
+            start.offset(0, 0, size),
+            start
+        ];
+
+        for (const corner of corners) {
+            if (!isActive()) return 'interrupted';
+            await walkTo(bot, corner, isActive);
+        }
+
+        session.updatePositionInfo();
+        let offBy = distance(session.currentCoords, start);
+        if (offBy > this.settings.returnTolerance && isActive()) {
+            await walkTo(bot, start, isActive);
+            session.updatePositionInfo();
+            offBy = distance(session.currentCoords, start);
+        }
+
+        if (offBy > this.settings.returnTolerance) {
+            session.log.warn(`🕹️ Anti-AFK walk ended ${offBy.toFixed(1)} blocks away from the start position`);
+            return `ended ${offBy.toFixed(1)} blocks from start`;
+        }
+        return 'returned to start';
+    }
+
+    getStatus(session) {
+        return {
+            enabled: this.isEnabled(session.id),
+            running: this.runners.has(session.id),
+            actions: this.getActions(session.id),
+            lastRun: this.lastRun.get(session.id) || null
+        };
+    }
+
+    stop() {
+        for (const accountId of [...this.runners.keys()]) {
+            this.stopRunner(accountId);
+        }
+    }
+}
+
+module.exports = {
+    AntiAfk,
+    ACTIONS
+};
@@ -0,0 +1,233 @@
+const EventEmitter = require('events');
+const JsonStore = require('./jsonStore');
+const { normalizeReason } = require('./sessionHistory');
+
+const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// "$1.5K", "1,250", "2.3m" -> number
+function parseAmount(text) {
+    const match = String(text).match(/([\d][\d,]*(?:\.\d+)?)\s*([kmbt])?\b/i);
+    if (!match) return null;
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    return Number.isFinite(value) ? value * (SUFFIXES[match[2]?.toLowerCase()] || 1) : null;
+}
+
+function itemName(item) {
+    return item.customName ? normalizeReason(item.customName) : item.displayName;
+}
+
+function itemLore(item) {
+    return (item.customLore || []).map(line => normalizeReason(line));
+}
+
+// Send a command and resolve with the window it opens
+function openCommandWindow(bot, command, timeout) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            bot.removeListener('windowOpen', onOpen);
+            reject(new Error(`${command} did not open a window within ${timeout / 1000}s`));
+        }, timeout);
+        const onOpen = (window) => {
+            clearTimeout(timer);
+            resolve(window);
+        };
+
+        bot.once('windowOpen', onOpen);
+        bot.chat(command);
+    });
+}
+
+// Drives DonutSMP's window-based /ah and /sell GUIs: searches listings,
+// sells configured items on a schedule or when the inventory fills, and
+// keeps a ledger of sale proceeds. Emits 'sale' (session, sale).
+class AuctionHouse extends EventEmitter {
+    constructor(filePath, { config, sessions }) {
+        super();
+        this.store = new JsonStore(filePath, { sales: [] });
+        this.config = config;
+        this.sessions = sessions;
+        this.timer = null;
+        this.lastSell = new Map();
+        this.busy = new Set();
+    }
+
+    get settings() {
+        return this.config.auction;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), 30000);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Price and seller from a listing's lore; items without a price are GUI buttons
+    parseListing(item) {
+        const pricePattern = new RegExp(this.settings.pricePattern, 'i');
+        const sellerPattern = new RegExp(this.settings.sellerPattern, 'i');
+
+        let price = null;
+        let seller = null;
+        for (const line of itemLore(item)) {
+            const priceMatch = price === null && line.match(pricePattern);
+            if (priceMatch) price = parseAmount(priceMatch[1]);
+            const sellerMatch = seller === null && line.match(sellerPattern);
+            if (sellerMatch) seller = sellerMatch[1];
+        }
+        if (price === null) return null;
+
+        return {
+            slot: item.slot,
+            name: itemName(item),
+            item: item.name,
+            count: item.count,
+            price,
+            unitPrice: price / item.count,
+            seller
+        };
+    }
+
+    async search(session, query) {
+        const bot = session.minecraftBot;
+        if (!session.isConnected || !bot) {
+            throw new Error(`Account ${session.id} is not connected`);
+        }
+
+        return session.runExclusive(async () => {
+            // Function replacer so "$&" and friends in the query stay literal
+            const command = this.settings.searchCommand.replace('{query}', () => query);
+            const window = await openCommandWindow(bot, command, this.settings.windowTimeout);
+            try {
+                // Listing items often arrive just after the window opens
+                await sleep(this.settings.loadDelay);
+                return window.containerItems()
+                    .map(item => this.parseListing(item))
+                    .filter(Boolean)
+                    .sort((a, b) => a.unitPrice - b.unitPrice);
+            } finally {
+                bot.closeWindow(window);
+            }
+        });
+    }
+
+    sellableItems(bot, items = bot.inventory.items()) {
+        const names = this.settings.sell.items;
+        return items.filter(item => names.includes(item.name));
+    }
+
+    tick() {
+        const sell = this.settings.sell;
+        if (!sell.enabled || sell.items.length === 0) return;
+
+        const now = Date.now();
+        for (const session of this.sessions.values()) {
+            const bot = session.minecraftBot;
+            if (!session.isConnected || !bot?.inventory || this.busy.has(session.id)) continue;
+            if (this.sellableItems(bot).length === 0) continue;
+
+            const due = sell.interval > 0 && now - (this.lastSell.get(session.id) || 0) >= sell.interval;
+            const full = bot.inventory.emptySlotCount() <= sell.freeSlotThreshold;
+            if (!due && !full) continue;
+
+            this.sell(session).catch(error => session.log.warn('💵 Auto-sell failed:', error.message));
+        }
+    }
+
+    // Put every configured item into the /sell window and close it, then read
+    // the proceeds from the chat message the server sends back
+    async sell(session) {
+        const bot = session.minecraftBot;
+        if (!session.isConnected || !bot) {
+            throw new Error(`Account ${session.id} is not connected`);
+        }
+        if (this.busy.has(session.id)) {
+            throw new Error('A sale is already running');
+        }
+
+        this.busy.add(session.id);
+        this.lastSell.set(session.id, Date.now());
+        try {
+            return await session.runExclusive(async () => {
+                const sold = {};
+                const window = await openCommandWindow(bot, this.settings.sell.command, this.settings.windowTimeout);
+                try {
+                    await sleep(this.settings.loadDelay);
+                    // Only the player's own slots; the container part holds what is already listed
+                    const inventoryItems = window.items().filter(item => item.slot >= window.inventoryStart);
+                    for (const item of this.sellableItems(bot, inventoryItems)) {
+                        if (window.containerItems().length >= window.inventoryStart) break;
+                        // Shift-click moves the stack into the sell window
+                        await bot.clickWindow(item.slot, 0, 1);
+                        sold[item.name] = (sold[item.name] || 0) + item.count;
+                    }
+                } catch (error) {
+                    bot.closeWindow(window);
+                    throw error;
+                }
+
+                const proceeds = this.waitForProceeds(bot);
+                bot.closeWindow(window);
+                return this.record(session, sold, await proceeds);
+            });
+        } finally {
+            this.busy.delete(session.id);
+        }
+    }
+
+    waitForProceeds(bot) {
+        const pattern = new RegExp(this.settings.sell.proceedsPattern, 'i');
+        return new Promise((resolve) => {
+            const listener = (message) => {
+                const match = message.toString().match(pattern);
+                if (!match) return;
+                cleanup();
+                resolve(parseAmount(match[1]));
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                resolve(null);
+            }, this.settings.windowTimeout);
+            const cleanup = () => {
+                clearTimeout(timer);
+                bot.removeListener('message', listener);
+            };
+            bot.on('message', listener);
+        });
+    }
+
+    record(session, items, proceeds) {
+        const count = Object.values(items).reduce((sum, amount) => sum + amount, 0);
+        if (count === 0) return null;
+
+        const sale = { account: session.id, time: Date.now(), items, count, proceeds };
+        this.store.data.sales.push(sale);
+        if (this.store.data.sales.length > this.settings.maxSales) {
+            this.store.data.sales.splice(0, this.store.data.sales.length - this.settings.maxSales);
+        }
+        this.store.save();
+
+        session.log.info(`💵 Sold ${count} item(s)${proceeds !== null ? ` for ${proceeds}` : ''}`);
+        this.emit('sale', session, sale);
+        return sale;
+    }
+
+    sales(accountId, since = 0) {
+        return this.store.data.sales.filter(sale => sale.account === accountId && sale.time >= since);
+    }
+
+    totalProceeds(accountId, since = 0) {
+        return this.sales(accountId, since).reduce((sum, sale) => sum + (sale.proceeds || 0), 0);
+    }
+}
+
+module.exports = {
+    AuctionHouse,
+    parseAmount
+};
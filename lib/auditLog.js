@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('audit');
+
+// Longest argument value kept in an entry, chat messages included
+const MAX_ARGUMENT_LENGTH = 300;
+
+function cleanArgs(args) {
+    const cleaned = {};
+    for (const [key, value] of Object.entries(args || {})) {
+        if (value === undefined || value === null) continue;
+        cleaned[key] = typeof value === 'string' ? value.substring(0, MAX_ARGUMENT_LENGTH) : value;
+    }
+    return cleaned;
+}
+
+// Append-only record of control actions, one JSON object per line. Entries are
+// never rewritten or pruned; the file is only read back for /audit and GET /audit.
+class AuditLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    // source: 'slash', 'reaction', 'button', 'relay' or 'web'; actor is the Discord tag
+    // or API key name, actorId the Discord user id and ip the web client
+    record({ source, actor, actorId = null, ip = null, action, account = null, args = {}, outcome = 'ok' }) {
+        const entry = { time: Date.now(), source, actor, actorId, ip, action, account, args: cleanArgs(args), outcome };
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            log.error('Failed to write audit entry:', error.message);
+        }
+        log.debug(`📝 ${actor} (${source}) ${action}${account ? ` on ${account}` : ''}: ${outcome}`);
+        return entry;
+    }
+
+    // Newest first; actor matches the name or the Discord id
+    list({ actor = null, limit = 50 } = {}) {
+        let raw;
+        try {
+            raw = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error('Failed to read the audit log:', error.message);
+            }
+            return [];
+        }
+
+        const entries = [];
+        const lines = raw.split('\n');
+        for (let index = lines.length - 1; index >= 0 && entries.length < limit; index--) {
+            if (!lines[index]) continue;
+            let entry;
+            try {
+                entry = JSON.parse(lines[index]);
+            } catch {
+                continue;
+            }
+            if (actor && entry.actorId !== actor && entry.actor?.toLowerCase() !== actor.toLowerCase()) continue;
+            entries.push(entry);
+        }
+        return entries;
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,224 @@
+const zlib = require('zlib');
+
+// Minimal PNG line chart renderer so charts work without native canvas builds.
+
+const COLORS = {
+    background: [43, 45, 49],
+    grid: [64, 66, 72],
+    axis: [148, 155, 164],
+    line: [157, 78, 221],
+    fill: [74, 50, 100]
+};
+
+// 3x5 bitmap font for axis labels, one string per row
+const GLYPHS = {
+    '0': ['111', '101', '101', '101', '111'],
+    '1': ['010', '110', '010', '010', '111'],
+    '2': ['111', '001', '111', '100', '111'],
+    '3': ['111', '001', '111', '001', '111'],
+    '4': ['101', '101', '111', '001', '001'],
+    '5': ['111', '100', '111', '001', '111'],
+    '6': ['111', '100', '111', '101', '111'],
+    '7': ['111', '001', '010', '010', '010'],
+    '8': ['111', '101', '111', '101', '111'],
+    '9': ['111', '101', '111', '001', '111'],
+    '.': ['000', '000', '000', '000', '010'],
+    ':': ['000', '010', '000', '010', '000'],
+    '-': ['000', '000', '111', '000', '000'],
+    '/': ['001', '001', '010', '100', '100'],
+    'k': ['100', '101', '110', '101', '101'],
+    'M': ['101', '111', '111', '101', '101'],
+    'B': ['110', '101', '110', '101', '110'],
+    ' ': ['000', '000', '000', '000', '000']
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+class Canvas {
+    constructor(width, height, background) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 3);
+        this.fillRect(0, 0, width, height, background);
+    }
+
+    setPixel(x, y, color) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+        const offset = (y * this.width + x) * 3;
+        this.pixels[offset] = color[0];
+        this.pixels[offset + 1] = color[1];
+        this.pixels[offset + 2] = color[2];
+    }
+
+    fillRect(x, y, width, height, color) {
+        for (let row = y; row < y + height; row++) {
+            for (let col = x; col < x + width; col++) {
+                this.setPixel(col, row, color);
+            }
+        }
+    }
+
+    // Bresenham line, thickness grows downwards
+    drawLine(x0, y0, x1, y1, color, thickness = 1) {
+        x0 = Math.round(x0); y0 = Math.round(y0);
+        x1 = Math.round(x1); y1 = Math.round(y1);
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        let error = dx + dy;
+
+        while (true) {
+            for (let t = 0; t < thickness; t++) this.setPixel(x0, y0 + t, color);
+            if (x0 === x1 && y0 === y1) break;
+            const e2 = 2 * error;
+            if (e2 >= dy) { error += dy; x0 += sx; }
+            if (e2 <= dx) { error += dx; y0 += sy; }
+        }
+    }
+
+    drawText(text, x, y, color, scale = 2) {
+        for (const char of String(text)) {
+            const glyph = GLYPHS[char] || GLYPHS[' '];
+            glyph.forEach((row, gy) => {
+                [...row].forEach((bit, gx) => {
+                    if (bit === '1') this.fillRect(x + gx * scale, y + gy * scale, scale, scale, color);
+                });
+            });
+            x += 4 * scale;
+        }
+    }
+
+    toPNG() {
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // bit depth
+        header[9] = 2; // truecolor RGB
+
+        const stride = this.width * 3;
+        const raw = Buffer.alloc((stride + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            raw[y * (stride + 1)] = 0; // no filter
+            this.pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+        }
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            chunk('IHDR', header),
+            chunk('IDAT', zlib.deflateSync(raw)),
+            chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+}
+
+function formatNumber(value) {
+    const abs = Math.abs(value);
+    if (abs >= 1e9) return `${+(value / 1e9).toFixed(1)}B`;
+    if (abs >= 1e6) return `${+(value / 1e6).toFixed(1)}M`;
+    if (abs >= 1e3) return `${+(value / 1e3).toFixed(1)}k`;
+    return String(Math.round(value));
+}
+
+function formatTime(time, spanMs) {
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, '0');
+    if (spanMs > 2 * 24 * 60 * 60 * 1000) {
+        return `${pad(date.getMonth() + 1)}/${pad(date.getDate())}`;
+    }
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Render [{ time, value }] sorted by time as a filled line chart PNG buffer
+function renderLineChart(points, { width = 800, height = 300 } = {}) {
+    const canvas = new Canvas(width, height, COLORS.background);
+    const left = 70;
+    const right = width - 20;
+    const top = 20;
+    const bottom = height - 40;
+
+    if (points.length === 0) {
+        canvas.drawLine(left, bottom, right, bottom, COLORS.axis);
+        return canvas.toPNG();
+    }
+
+    const minTime = points[0].time;
+    const maxTime = points[points.length - 1].time;
+    let minValue = Math.min(...points.map(point => point.value));
+    let maxValue = Math.max(...points.map(point => point.value));
+    if (minValue === maxValue) {
+        minValue -= 1;
+        maxValue += 1;
+    }
+
+    const timeSpan = Math.max(maxTime - minTime, 1);
+    const x = (time) => left + ((time - minTime) / timeSpan) * (right - left);
+    const y = (value) => bottom - ((value - minValue) / (maxValue - minValue)) * (bottom - top);
+
+    // Horizontal grid with value labels
+    const gridLines = 4;
+    for (let i = 0; i <= gridLines; i++) {
+        const value = minValue + ((maxValue - minValue) * i) / gridLines;
+        const gy = y(value);
+        canvas.drawLine(left, gy, right, gy, COLORS.grid);
+        canvas.drawText(formatNumber(value), 6, Math.round(gy) - 5, COLORS.axis);
+    }
+
+    // Area under the line, then the line itself
+    for (let i = 1; i < points.length; i++) {
+        const x0 = Math.round(x(points[i - 1].time));
+        const x1 = Math.round(x(points[i].time));
+        for (let px = x0; px <= x1; px++) {
+            const ratio = x1 === x0 ? 1 : (px - x0) / (x1 - x0);
+            const value = points[i - 1].value + (points[i].value - points[i - 1].value) * ratio;
+            canvas.drawLine(px, y(value), px, bottom, COLORS.fill);
+        }
+    }
+    for (let i = 1; i < points.length; i++) {
+        canvas.drawLine(x(points[i - 1].time), y(points[i - 1].value), x(points[i].time), y(points[i].value), COLORS.line, 2);
+    }
+    if (points.length === 1) {
+        canvas.fillRect(Math.round(x(minTime)) - 2, Math.round(y(points[0].value)) - 2, 5, 5, COLORS.line);
+    }
+
+    // Time axis with start, middle and end labels
+    canvas.drawLine(left, bottom, right, bottom, COLORS.axis);
+    [minTime, minTime + timeSpan / 2, maxTime].forEach((time, index) => {
+        const label = formatTime(time, timeSpan);
+        const labelWidth = label.length * 8;
+        const lx = index === 0 ? left : index === 1 ? x(time) - labelWidth / 2 : right - labelWidth;
+        canvas.drawText(label, Math.round(lx), bottom + 12, COLORS.axis);
+    });
+
+    return canvas.toPNG();
+}
+
+module.exports = {
+    renderLineChart,
+    formatNumber
+};
@@ -0,0 +1,216 @@
+const { WebhookClient, escapeMarkdown } = require('discord.js');
+const { createLogger } = require('./logger');
+
+const log = createLogger('relay');
+
+const DISCORD_MESSAGE_LIMIT = 1900;
+const MINECRAFT_CHAT_LIMIT = 256;
+
+// Two-way bridge between one account's Minecraft chat and a Discord channel.
+// Settings are read from config.chatRelay on every use so reloads apply live.
+class ChatRelay {
+    constructor({ config, discordClient, sessions, permissions, auditLog }) {
+        this.config = config;
+        this.discordClient = discordClient;
+        this.sessions = sessions;
+        this.permissions = permissions;
+        this.auditLog = auditLog;
+        this.queue = [];
+        this.flushTimer = null;
+        this.patternCache = new Map();
+        this.recentMessages = new Map();
+        this.webhook = null;
+        this.webhookUrl = null;
+    }
+
+    get settings() {
+        return this.config.chatRelay;
+    }
+
+    // The account whose chat is relayed and who speaks for Discord users
+    getSession() {
+        return this.sessions.get(this.settings.account) || this.sessions.values().next().value;
+    }
+
+    start() {
+        if (this.flushTimer) return;
+        this.flushTimer = setInterval(() => this.flush(), this.settings.batchInterval);
+    }
+
+    stop() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (this.webhook) {
+            this.webhook.destroy();
+            this.webhook = null;
+        }
+    }
+
+    // Restart the batch timer so a changed interval takes effect
+    reload() {
+        this.stop();
+        this.start();
+    }
+
+    attach(session) {
+        session.on('chat', (entry) => this.handleMinecraftChat(session, entry));
+    }
+
+    compile(patterns) {
+        const key = patterns.join('\u0000');
+        if (!this.patternCache.has(key)) {
+            this.patternCache.set(key, patterns.map(pattern => new RegExp(pattern, 'i')));
+        }
+        return this.patternCache.get(key);
+    }
+
+    shouldRelay(text) {
+        const include = this.compile(this.settings.include);
+        const exclude = this.compile(this.settings.exclude);
+
+        if (include.length > 0 && !include.some(regex => regex.test(text))) return false;
+        return !exclude.some(regex => regex.test(text));
+    }
+
+    handleMinecraftChat(session, { text }) {
+        if (!this.settings.enabled || session !== this.getSession()) return;
+        if (!this.shouldRelay(text)) return;
+
+        this.queue.push(text);
+    }
+
+    getWebhook() {
+        const url = this.settings.webhookUrl;
+        if (!url) return null;
+
+        if (this.webhookUrl !== url) {
+            if (this.webhook) this.webhook.destroy();
+            this.webhook = new WebhookClient({ url });
+            this.webhookUrl = url;
+        }
+        return this.webhook;
+    }
+
+    async flush() {
+        if (this.queue.length === 0) return;
+
+        const lines = this.queue.splice(0).map(text => escapeMarkdown(text).substring(0, 500));
+        const messages = [];
+        let current = '';
+        for (const line of lines) {
+            if (current.length + line.length + 1 > DISCORD_MESSAGE_LIMIT) {
+                messages.push(current);
+                current = '';
+            }
+            current += (current ? '\n' : '') + line;
+        }
+        if (current) messages.push(current);
+
+        // Never let server chat ping anyone
+        const allowedMentions = { parse: [] };
+        const session = this.getSession();
+
+        try {
+            const webhook = this.getWebhook();
+            if (webhook) {
+                for (const content of messages) {
+                    await webhook.send({ content, username: session?.displayName || 'Minecraft', allowedMentions });
+                }
+                return;
+            }
+
+            if (!this.settings.channelId) return;
+            const channel = await this.discordClient.channels.fetch(this.settings.channelId);
+            for (const content of messages) {
+                await channel.send({ content, allowedMentions });
+            }
+        } catch (error) {
+            log.error('Failed to relay Minecraft chat to Discord:', error.message);
+        }
+    }
+
+    // Sliding-window limit of settings.rateLimit.count messages per user
+    isRateLimited(userId) {
+        const { count, interval } = this.settings.rateLimit;
+        const now = Date.now();
+        const recent = (this.recentMessages.get(userId) || []).filter(time => now - time < interval);
+
+        if (recent.length >= count) {
+            this.recentMessages.set(userId, recent);
+            return true;
+        }
+
+        recent.push(now);
+        this.recentMessages.set(userId, recent);
+        return false;
+    }
+
+    // Speaking in game needs the chat capability as well as the speak role
+    canSpeak(author, member) {
+        const roleId = this.settings.speakRoleId;
+        if (roleId && !member?.roles?.cache?.has(roleId)) return false;
+        return this.permissions.forDiscord(author.id, member).has('chat');
+    }
+
+    // messageCreate handler for the linked channel
+    async handleDiscordMessage(message) {
+        const settings = this.settings;
+        if (!settings.enabled || message.channelId !== settings.channelId) return;
+        if (message.author.bot || message.webhookId) return;
+
+        const text = message.content.replace(/\s+/g, ' ').trim();
+        if (!text) return;
+
+        const actor = { source: 'relay', actor: message.author.tag, actorId: message.author.id, action: 'chat relay' };
+        if (!this.canSpeak(message.author, message.member)) {
+            this.permissions.recordDenied('discord', `${message.author.tag} (${message.author.id})`, 'chat relay', 'chat');
+            this.auditLog.record({ ...actor, args: { text }, outcome: 'denied' });
+            await message.react('🔇').catch(() => {});
+            return;
+        }
+
+        // Commands have to go through /message so the relay cannot run arbitrary server commands
+        if (text.startsWith('/')) {
+            await message.react('🚫').catch(() => {});
+            return;
+        }
+
+        if (this.isRateLimited(message.author.id)) {
+            await message.react('🐢').catch(() => {});
+            return;
+        }
+
+        const session = this.getSession();
+        if (!session || !session.isConnected) {
+            await message.react('🔌').catch(() => {});
+            return;
+        }
+
+        // Function replacers so "$&" in names and messages is not read as a pattern
+        const name = message.member?.displayName || message.author.username;
+        const formatted = settings.format
+            .replace('{user}', () => name)
+            .replace('{message}', () => text)
+            .substring(0, MINECRAFT_CHAT_LIMIT);
+
+        // The format may put the display name first, so check the line actually sent
+        if (formatted.trimStart().startsWith('/')) {
+            await message.react('🚫').catch(() => {});
+            return;
+        }
+
+        try {
+            session.chat(formatted);
+            this.auditLog.record({ ...actor, account: session.id, args: { text: formatted } });
+            log.info(`[${session.id}] ${message.author.tag} -> Minecraft: ${formatted}`);
+        } catch (error) {
+            this.auditLog.record({ ...actor, account: session.id, args: { text: formatted }, outcome: 'error' });
+            log.error('Failed to relay Discord message to Minecraft:', error.message);
+            await message.react('❌').catch(() => {});
+        }
+    }
+}
+
+module.exports = ChatRelay;
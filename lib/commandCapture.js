@@ -0,0 +1,125 @@
+// Send a chat command and wait for the server's reply. Replies are plain chat
+// lines, so the caller describes which line starts the response and how much
+// of what follows belongs to it.
+
+function toMatcher(match) {
+    if (typeof match === 'function') return match;
+    const patterns = (Array.isArray(match) ? match : [match])
+        .map(pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i'));
+    return (text) => {
+        for (const pattern of patterns) {
+            const result = text.match(pattern);
+            if (result) return result;
+        }
+        return null;
+    };
+}
+
+// Options:
+//   match        RegExp, pattern string, array of either, or function(text); the
+//                first chat line it accepts starts the response
+//   lines        collect up to this many lines, the first one included (default 1)
+//   until        RegExp or string; a line matching it ends the response
+//   idleTimeout  end a multi-line response once chat is quiet this long
+//   timeout      give up when no line matched in time
+//   signal       AbortSignal to cancel the capture
+//
+// Resolves with { command, lines, match, complete } or null on timeout. Rejects
+// when the command cannot be sent, the account disconnects or the signal aborts.
+function captureResponse(session, command, options = {}) {
+    const {
+        match,
+        lines: maxLines = 1,
+        until = null,
+        idleTimeout = 1000,
+        timeout = 10000,
+        signal = null
+    } = options;
+
+    if (!match) {
+        return Promise.reject(new Error('captureResponse needs a match option'));
+    }
+    if (signal?.aborted) {
+        return Promise.reject(signal.reason || new Error('Command capture cancelled'));
+    }
+
+    const matcher = toMatcher(match);
+    const endMatcher = until ? toMatcher(until) : null;
+
+    return new Promise((resolve, reject) => {
+        const collected = [];
+        let firstMatch = null;
+        let idleTimer = null;
+
+        const timer = setTimeout(() => finish(false), timeout);
+
+        const cleanup = () => {
+            clearTimeout(timer);
+            clearTimeout(idleTimer);
+            session.removeListener('chat', onChat);
+            session.removeListener('disconnected', onDisconnected);
+            signal?.removeEventListener('abort', onAbort);
+        };
+
+        // complete is false when the response was cut short by a timeout
+        const finish = (complete) => {
+            cleanup();
+            if (collected.length === 0) {
+                resolve(null);
+                return;
+            }
+            resolve({ command, lines: collected, match: firstMatch, complete });
+        };
+
+        const onChat = ({ text }) => {
+            if (collected.length === 0) {
+                const result = matcher(text);
+                if (!result) return;
+                firstMatch = result === true ? null : result;
+            }
+
+            collected.push(text);
+            if (collected.length >= maxLines || (collected.length > 1 && endMatcher?.(text))) {
+                finish(true);
+                return;
+            }
+
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => finish(!endMatcher), idleTimeout);
+        };
+
+        const onDisconnected = () => {
+            cleanup();
+            reject(new Error(`${session.id} disconnected before ${command} was answered`));
+        };
+
+        const onAbort = () => {
+            cleanup();
+            reject(signal.reason || new Error('Command capture cancelled'));
+        };
+
+        session.on('chat', onChat);
+        session.on('disconnected', onDisconnected);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            session.chat(command);
+        } catch (error) {
+            cleanup();
+            reject(error);
+        }
+    });
+}
+
+// Fill "{name}" placeholders in a configured command; unused ones are dropped
+function expandCommand(template, values = {}) {
+    return template
+        .replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    captureResponse,
+    expandCommand
+};
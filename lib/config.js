@@ -0,0 +1,890 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { createLogger } = require('./logger');
+const { CAPABILITIES } = require('./permissions');
+
+const log = createLogger('config');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const DEFAULT_CONFIG_PATH = 'config.json';
+
+const DEFAULTS = {
+    discord: {
+        token: undefined,
+        channelId: undefined
+    },
+    minecraft: {
+        host: 'donutsmp.net',
+        port: 25565,
+        version: '1.21.4',
+        auth: 'microsoft'
+    },
+    accounts: [{ id: 'main' }],
+    spawn: {
+        // Legacy one-step on-join script (/tpa <target>), off unless set
+        tpaTarget: null,
+        delay: 5000
+    },
+    radar: {
+        // Notify when players enter or leave render distance
+        enabled: true,
+        // Defaults to the alerts channel
+        channelId: null,
+        // Optional role pinged when a player shows up
+        roleId: null,
+        // Friends to ignore; more can be added with /radar add
+        whitelist: [],
+        // Per player and direction, stops players at the edge of render distance from spamming
+        cooldown: 60000,
+        // Hostile mobs further away than this are left out of /nearby
+        mobRange: 32
+    },
+    storage: {
+        // Deposit loot into the containers set up with /storage when the inventory fills
+        enabled: true,
+        checkInterval: 30000,
+        // Inventory counts as full at this many free slots or fewer
+        fullThreshold: 0,
+        // Item groups never deposited: food, tools, hotbar
+        keep: ['food', 'tools'],
+        // Containers further away than this cannot be opened
+        maxDistance: 4.5,
+        // Defaults to the alerts channel
+        channelId: null,
+        alertCooldown: 10 * 60 * 1000
+    },
+    antiAfk: {
+        // Default for accounts that were never toggled with /antiafk
+        enabled: false,
+        // Any of look, jump, sneak, swing, walk; one is picked at random each time
+        actions: ['look', 'jump', 'swing'],
+        minInterval: 20000,
+        maxInterval: 60000,
+        // Side of the square walked by the "walk" action, in blocks
+        walkDistance: 2,
+        returnTolerance: 1.5
+    },
+    healthGuard: {
+        enabled: true,
+        autoEat: true,
+        // Eat when the food bar (0-20) drops below this
+        eatBelow: 14,
+        // Preferred foods in order, e.g. ["golden_carrot", "cooked_beef"]; empty means best available
+        foods: [],
+        // Defaults to the alerts channel
+        channelId: null,
+        roleId: null,
+        alertOnDamage: true,
+        damageCooldown: 60000,
+        lowHealth: 8,
+        emergency: {
+            enabled: false,
+            below: 6,
+            // 'rejoin' comes back after the healthGuard reconnect delay, 'stop' stays offline
+            action: 'rejoin'
+        }
+    },
+    reconnect: {
+        maxAttempts: 10000,
+        // Backoff for disconnects that match none of the classes below
+        delay: 15000,
+        maxDelay: 5 * 60 * 1000,
+        multiplier: 2,
+        // Random spread of ±20% on every delay
+        jitter: 0.2,
+        // Optional role pinged when reconnecting stops
+        alertRoleId: null,
+        // Checked in order against the kick/error reason, the first match wins
+        classes: [
+            { name: 'banned', fatal: true, patterns: ['banned', 'blacklisted'] },
+            { name: 'whitelist', fatal: true, patterns: ['white-?listed', 'whitelist'] },
+            {
+                name: 'alreadyOnline',
+                patterns: ['already (?:connected|online|logged in|playing)', 'logged in from another location', 'duplicate_login'],
+                baseDelay: 60000,
+                maxDelay: 5 * 60 * 1000,
+                multiplier: 1.5
+            },
+            {
+                name: 'throttled',
+                patterns: ['throttl', 'too (?:fast|many|quickly|soon)', 'wait before reconnecting'],
+                baseDelay: 60000,
+                maxDelay: 10 * 60 * 1000,
+                multiplier: 2
+            },
+            {
+                name: 'restart',
+                patterns: ['restart', 'server (?:is )?(?:closed|closing|stopping|shutting down)', 'maintenance'],
+                baseDelay: 30000,
+                maxDelay: 5 * 60 * 1000,
+                multiplier: 1.5
+            },
+            {
+                name: 'healthGuard',
+                patterns: ['^Health guard'],
+                baseDelay: 10 * 60 * 1000,
+                maxDelay: 30 * 60 * 1000,
+                multiplier: 1.5
+            },
+            {
+                name: 'unreachable',
+                patterns: ['ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', 'EHOSTUNREACH', 'ECONNRESET'],
+                baseDelay: 15000,
+                maxDelay: 10 * 60 * 1000,
+                multiplier: 2
+            }
+        ]
+    },
+    serverPing: {
+        enabled: true,
+        // Ping before every connect and wait while the server is down
+        preflight: true,
+        interval: 60000,
+        timeout: 5000,
+        retryDelay: 30000
+    },
+    auth: {
+        // Defaults to <dataDir>/profiles; point it at persistent storage on hosts like Render
+        profilesDir: null,
+        // Encrypts cached tokens when set, prefer the MC_TOKEN_PASSPHRASE env variable
+        passphrase: undefined,
+        // Refresh the Minecraft token when it has less than this left
+        refreshMargin: 60 * 60 * 1000,
+        refreshInterval: 15 * 60 * 1000
+    },
+    chatRelay: {
+        // Turning the relay on or off needs a restart
+        enabled: false,
+        // Channel that receives Minecraft chat and whose messages are sent in game
+        channelId: null,
+        // Optional webhook used instead of the bot user for posting chat
+        webhookUrl: null,
+        // Account to relay; defaults to the first configured account
+        account: null,
+        batchInterval: 2000,
+        // Regular expressions; when include is non-empty only matching lines are relayed
+        include: [],
+        exclude: [],
+        // Role required to talk in game from Discord on top of the chat capability, null for none
+        speakRoleId: null,
+        rateLimit: {
+            count: 3,
+            interval: 10000
+        },
+        format: '{user}: {message}'
+    },
+    inbox: {
+        enabled: true,
+        // Defaults to the control channel
+        channelId: null,
+        // Whisper formats with named groups "player" and "message"
+        patterns: [
+            '^\\[?(?<player>\\w{3,16}) ?(?:->|→|») ?(?:you|me)\\]?:? (?<message>.+)$',
+            '^(?<player>\\w{3,16}) whispers(?: to you)?: (?<message>.+)$'
+        ],
+        maxStored: 500
+    },
+    alerts: {
+        // Defaults to the control channel
+        channelId: null,
+        defaultCooldown: 5 * 60 * 1000
+    },
+    shards: {
+        // Poll /shards on connected accounts and keep the balance history
+        enabled: true,
+        pollInterval: 10 * 60 * 1000,
+        // First poll after joining, so on-join scripts can finish
+        initialDelay: 30000,
+        responseTimeout: 10000,
+        maxSamples: 20000,
+        // The first capture group is the balance
+        patterns: [
+            'shards?[:\\s]+([0-9,]+)',
+            '([0-9,]+)\\s+shards?',
+            'balance[:\\s]+([0-9,]+)',
+            'you\\s+have[:\\s]+([0-9,]+)'
+        ]
+    },
+    scoreboard: {
+        // Read the sidebar (money, shards, kills, playtime...) of connected accounts
+        enabled: true,
+        updateInterval: 5000,
+        // Sidebar key whose value feeds the shard balance history instead of
+        // polling /shards in chat (null turns this off)
+        shardsKey: 'shards'
+    },
+    sessions: {
+        // How long session records are kept for /uptime and GET /sessions
+        retention: 90 * 24 * 60 * 60 * 1000
+    },
+    auction: {
+        // '{query}' is replaced with the search text
+        searchCommand: '/ah {query}',
+        // Lore lines of auction listings; the first capture group is the value
+        pricePattern: 'price:?\\s*\\$?\\s*([\\d,.]+\\s*[kmbt]?)',
+        sellerPattern: 'seller:?\\s*(\\w{3,16})',
+        windowTimeout: 10000,
+        // Listings often arrive a moment after the window opens
+        loadDelay: 750,
+        maxSales: 5000,
+        sell: {
+            enabled: false,
+            command: '/sell',
+            // Item ids to sell, e.g. ["bone", "rotten_flesh", "gunpowder"]
+            items: [],
+            // Sell every interval (0 turns the schedule off) or when free slots drop to the threshold
+            interval: 30 * 60 * 1000,
+            freeSlotThreshold: 2,
+            // Chat message confirming the sale; the first capture group is the amount earned
+            proceedsPattern: 'sold .*?for \\$?([\\d,.]+\\s*[kmbt]?)'
+        }
+    },
+    // Discord slash commands that run a server command and reply with what
+    // the server answers, e.g.
+    // { name: 'bal', description: 'Show the balance', command: '/bal', match: ['balance'] }
+    // Optional: argument (an option name, filled into "{name}" in command),
+    // lines, until, idleTimeout, timeout and ephemeral. Built-in names cannot be reused.
+    commands: [],
+    logging: {
+        level: 'info',
+        // 'text' or 'json' for the console; log files are always JSON lines
+        format: 'text',
+        // Entries kept in memory for /logs and GET /logs
+        historySize: 1000,
+        file: {
+            enabled: true,
+            dir: 'logs',
+            name: 'bot.log',
+            maxSize: 5 * 1024 * 1024,
+            maxFiles: 5
+        },
+        // Optional channel that receives warnings and errors in batches
+        discordChannelId: null,
+        discordLevel: 'warn'
+    },
+    webhooks: {
+        // Outgoing webhooks are added with /webhooks or POST /webhooks
+        enabled: true,
+        timeout: 10000,
+        // First attempt included; retries back off from retryDelay up to maxRetryDelay
+        maxAttempts: 5,
+        retryDelay: 5000,
+        maxRetryDelay: 5 * 60 * 1000,
+        deliveryHistory: 500
+    },
+    permissions: {
+        // Capabilities: view (status and history), connect (join and leave),
+        // chat (anything that makes an account act in game) and admin (settings,
+        // implies the others). Discord roles and users as { id, capabilities }
+        roles: [],
+        users: [],
+        // Everyone else in the control channel; grant the rest through roles or users
+        everyone: ['view'],
+        // Web API keys as { name, key, capabilities }, sent as
+        // "Authorization: Bearer <key>" or "X-API-Key: <key>"
+        apiKeys: [],
+        // Web requests without a key
+        anonymous: [],
+        // Denied attempts kept for /permissions denied and GET /permissions/denied
+        deniedHistory: 500
+    },
+    webServer: {
+        port: 5000,
+        host: '0.0.0.0'
+    },
+    // Where persistent state such as on-join scripts is stored
+    dataDir: 'data'
+};
+
+// Sections that are only read at startup or when connecting, so changing them needs a restart
+const CONNECTION_SECTIONS = ['discord', 'minecraft', 'auth', 'webServer', 'dataDir'];
+
+// Single settings in otherwise live sections that are only read at startup.
+// The relay needs the MessageContent intent, which is chosen when logging in.
+const STARTUP_SETTINGS = ['chatRelay.enabled'];
+
+// Environment variables win over the config file
+const ENV_OVERRIDES = [
+    ['DISCORD_BOT_TOKEN', 'discord.token'],
+    ['DISCORD_CHANNEL_ID', 'discord.channelId'],
+    ['MC_HOST', 'minecraft.host'],
+    ['MC_PORT', 'minecraft.port', Number],
+    ['MC_VERSION', 'minecraft.version'],
+    ['MC_AUTH', 'minecraft.auth'],
+    ['MC_ACCOUNTS', 'accounts', parseAccounts],
+    ['MC_TPA_TARGET', 'spawn.tpaTarget'],
+    ['MC_PROFILES_DIR', 'auth.profilesDir'],
+    ['MC_TOKEN_PASSPHRASE', 'auth.passphrase'],
+    ['LOG_LEVEL', 'logging.level'],
+    ['LOG_FORMAT', 'logging.format'],
+    ['DISCORD_LOG_CHANNEL_ID', 'logging.discordChannelId'],
+    ['PORT', 'webServer.port', Number],
+    ['DATA_DIR', 'dataDir']
+];
+
+const ACCOUNT_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', required: true, pattern: /^[\w.@-]+$/ },
+        username: { type: 'string' },
+        tpaTarget: { type: 'string', nullable: true }
+    }
+};
+
+const CAPABILITY_LIST_SCHEMA = {
+    type: 'array',
+    items: { type: 'string', enum: CAPABILITIES }
+};
+
+const GRANT_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', required: true, pattern: /^\d+$/ },
+        capabilities: { ...CAPABILITY_LIST_SCHEMA, required: true }
+    }
+};
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        discord: {
+            type: 'object',
+            required: true,
+            properties: {
+                token: { type: 'string', required: true },
+                channelId: { type: 'string', required: true, pattern: /^\d+$/ }
+            }
+        },
+        minecraft: {
+            type: 'object',
+            required: true,
+            properties: {
+                host: { type: 'string', required: true },
+                port: { type: 'integer', required: true, min: 1, max: 65535 },
+                version: { type: 'string', required: true },
+                auth: { type: 'string', required: true, enum: ['microsoft', 'offline'] }
+            }
+        },
+        accounts: { type: 'array', required: true, minItems: 1, items: ACCOUNT_SCHEMA, unique: 'id' },
+        spawn: {
+            type: 'object',
+            properties: {
+                tpaTarget: { type: 'string', nullable: true },
+                delay: { type: 'integer', min: 0 }
+            }
+        },
+        radar: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                channelId: { type: 'string', nullable: true, pattern: /^\d+$/ },
+                roleId: { type: 'string', nullable: true, pattern: /^\d+$/ },
+                whitelist: { type: 'array', items: { type: 'string', pattern: /^\w{1,16}$/ } },
+                cooldown: { type: 'integer', min: 0 },
+                mobRange: { type: 'integer', min: 1, max: 256 }
+            }
+        },
+        storage: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                checkInterval: { type: 'integer', min: 5000 },
+                fullThreshold: { type: 'integer', min: 0, max: 35 },
+                keep: { type: 'array', items: { type: 'string', enum: ['food', 'tools', 'hotbar'] } },
+                maxDistance: { type: 'number', min: 1, max: 6 },
+                channelId: { type: 'string', nullable: true, pattern: /^\d+$/ },
+                alertCooldown: { type: 'integer', min: 0 }
+            }
+        },
+        antiAfk: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                actions: { type: 'array', minItems: 1, items: { type: 'string', enum: ['look', 'jump', 'sneak', 'swing', 'walk'] } },
+                minInterval: { type: 'integer', min: 1000 },
+                maxInterval: { type: 'integer', min: 1000 },
+                walkDistance: { type: 'number', min: 1, max: 8 },
+                returnTolerance: { type: 'number', min: 0.5 }
+            }
+        },
+        healthGuard: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                autoEat: { type: 'boolean' },
+                eatBelow: { type: 'integer', min: 1, max: 20 },
+                foods: { type: 'array', items: { type: 'string', pattern: /^[a-z0-9_]+$/ } },
+                channelId: { type: 'string', nullable: true, pattern: /^\d+$/ },
+                roleId: { type: 'string', nullable: true, pattern: /^\d+$/ },
+                alertOnDamage: { type: 'boolean' },
+                damageCooldown: { type: 'integer', min: 0 },
+                lowHealth: { type: 'number', min: 0, max: 20 },
+                emergency: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        below: { type: 'number', min: 1, max: 20 },
+                        action: { type: 'string', enum: ['rejoin', 'stop'] }
+                    }
+                }
+            }
+        },
+        reconnect: {
+            type: 'object',
+            properties: {
+                maxAttempts: { type: 'integer', min: 0 },
+                delay: { type: 'integer', min: 1000 },
+                maxDelay: { type: 'integer', min: 1000 },
+                multiplier: { type: 'number', min: 1, max: 10 },
+                jitter: { type: 'number', min: 0, max: 1 },
+                alertRoleId: { type: 'string', nullable: true, pattern: /^\d+$/ },
+                classes: {
+                    type: 'array',
+                    unique: 'name',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', required: true, pattern: /^\w+$/ },
+                            fatal: { type: 'boolean' },
+                            patterns: { type: 'array', required: true, minItems: 1, items: { type: 'string', regex: true } },
+                            baseDelay: { type: 'integer', min: 1000 },
+                            maxDelay: { type: 'integer', min: 1000 },
+                            multiplier: { type: 'number', min: 1, max: 10 }
+                        }
+                    }
+                }
+            }
+        },
+        serverPing: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                preflight: { type: 'boolean' },
+                interval: { type: 'integer', min: 10000 },
+                timeout: { type: 'integer', min: 1000, max: 60000 },
+                retryDelay: { type: 'integer', min: 5000 }
+            }
+        },
+        auth: {
+            type: 'object',
+            properties: {
+                profilesDir: { type: 'string', nullable: true },
+                passphrase: { type: 'string', minLength: 8 },
+                refreshMargin: { type: 'integer', min: 60000 },
+                refreshInterval: { type: 'integer', min: 60000 }
+            }
+        },
+        chatRelay: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                channelId: { type: 'string', nullable: true, pattern: /^\d+$/ },
+                webhookUrl: { type: 'string', nullable: true, pattern: /^https:\/\// },
+                account: { type: 'string', nullable: true },
+                batchInterval: { type: 'integer', min: 500 },
+                include: { type: 'array', items: { type: 'string', regex: true } },
+                exclude: { type: 'array', items: { type: 'string', regex: true } },
+                speakRoleId: { type: 'string', nullable: true, pattern: /^\d+$/ },
+                rateLimit: {
+                    type: 'object',
+                    properties: {
+                        count: { type: 'integer', min: 1 },
+                        interval: { type: 'integer', min: 1000 }
+                    }
+                },
+                format: { type: 'string', pattern: /\{message\}/ }
+            }
+        },
+        inbox: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                channelId: { type: 'string', nullable: true, pattern: /^\d+$/ },
+                patterns: { type: 'array', items: { type: 'string', regex: true } },
+                maxStored: { type: 'integer', min: 1 }
+            }
+        },
+        alerts: {
+            type: 'object',
+            properties: {
+                channelId: { type: 'string', nullable: true, pattern: /^\d+$/ },
+                defaultCooldown: { type: 'integer', min: 0 }
+            }
+        },
+        shards: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                pollInterval: { type: 'integer', min: 60000 },
+                initialDelay: { type: 'integer', min: 0 },
+                responseTimeout: { type: 'integer', min: 1000, max: 60000 },
+                maxSamples: { type: 'integer', min: 10 },
+                patterns: { type: 'array', minItems: 1, items: { type: 'string', regex: true } }
+            }
+        },
+        scoreboard: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                updateInterval: { type: 'integer', min: 1000, max: 60000 },
+                shardsKey: { type: 'string', nullable: true, pattern: /^[a-z0-9_]+$/ }
+            }
+        },
+        sessions: {
+            type: 'object',
+            properties: {
+                retention: { type: 'integer', min: 30 * 24 * 60 * 60 * 1000 }
+            }
+        },
+        auction: {
+            type: 'object',
+            properties: {
+                searchCommand: { type: 'string', pattern: /^\/.*\{query\}/ },
+                pricePattern: { type: 'string', regex: true },
+                sellerPattern: { type: 'string', regex: true },
+                windowTimeout: { type: 'integer', min: 1000, max: 60000 },
+                loadDelay: { type: 'integer', min: 0, max: 10000 },
+                maxSales: { type: 'integer', min: 10 },
+                sell: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        command: { type: 'string', pattern: /^\// },
+                        items: { type: 'array', items: { type: 'string', pattern: /^[a-z0-9_]+$/ } },
+                        interval: { type: 'integer', min: 0 },
+                        freeSlotThreshold: { type: 'integer', min: 0, max: 35 },
+                        proceedsPattern: { type: 'string', regex: true }
+                    }
+                }
+            }
+        },
+        commands: {
+            type: 'array',
+            unique: 'name',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', required: true, pattern: /^[a-z0-9_-]{1,32}$/ },
+                    description: { type: 'string', required: true, minLength: 1 },
+                    command: { type: 'string', required: true, pattern: /^\// },
+                    argument: { type: 'string', nullable: true, pattern: /^(?!account$)[a-z0-9_]{1,32}$/ },
+                    match: { type: 'array', required: true, minItems: 1, items: { type: 'string', regex: true } },
+                    until: { type: 'string', nullable: true, regex: true },
+                    lines: { type: 'integer', min: 1, max: 50 },
+                    idleTimeout: { type: 'integer', min: 100, max: 10000 },
+                    timeout: { type: 'integer', min: 1000, max: 60000 },
+                    ephemeral: { type: 'boolean' }
+                }
+            }
+        },
+        logging: {
+            type: 'object',
+            properties: {
+                level: { type: 'string', enum: LOG_LEVELS },
+                format: { type: 'string', enum: ['text', 'json'] },
+                historySize: { type: 'integer', min: 10, max: 100000 },
+                file: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        dir: { type: 'string' },
+                        name: { type: 'string' },
+                        maxSize: { type: 'integer', min: 1024 },
+                        maxFiles: { type: 'integer', min: 1, max: 100 }
+                    }
+                },
+                discordChannelId: { type: 'string', nullable: true, pattern: /^\d+$/ },
+                discordLevel: { type: 'string', enum: LOG_LEVELS }
+            }
+        },
+        webhooks: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                timeout: { type: 'integer', min: 1000, max: 60000 },
+                maxAttempts: { type: 'integer', min: 1, max: 20 },
+                retryDelay: { type: 'integer', min: 1000 },
+                maxRetryDelay: { type: 'integer', min: 1000 },
+                deliveryHistory: { type: 'integer', min: 10, max: 100000 }
+            }
+        },
+        permissions: {
+            type: 'object',
+            properties: {
+                roles: { type: 'array', unique: 'id', items: GRANT_SCHEMA },
+                users: { type: 'array', unique: 'id', items: GRANT_SCHEMA },
+                everyone: CAPABILITY_LIST_SCHEMA,
+                apiKeys: {
+                    type: 'array',
+                    unique: 'name',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', required: true, pattern: /^[\w.-]+$/ },
+                            key: { type: 'string', required: true, minLength: 16 },
+                            capabilities: { ...CAPABILITY_LIST_SCHEMA, required: true }
+                        }
+                    }
+                },
+                anonymous: CAPABILITY_LIST_SCHEMA,
+                deniedHistory: { type: 'integer', min: 10, max: 100000 }
+            }
+        },
+        webServer: {
+            type: 'object',
+            required: true,
+            properties: {
+                port: { type: 'integer', required: true, min: 0, max: 65535 },
+                host: { type: 'string', required: true }
+            }
+        },
+        dataDir: { type: 'string', required: true }
+    }
+};
+
+class ConfigError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0
+            ? `${message}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`
+            : message);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// "main" or "main,alt1" -> [{ id: 'main', username: 'main' }, ...]
+function parseAccounts(value) {
+    return value.split(',')
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => ({ id: name, username: name }));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge where arrays and scalars from the override replace the base value
+function merge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) {
+        return override === undefined ? base : override;
+    }
+
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        result[key] = merge(base[key], value);
+    }
+    return result;
+}
+
+function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(node[key])) {
+            node[key] = {};
+        }
+        node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+}
+
+function getPath(target, dottedPath) {
+    return dottedPath.split('.').reduce((node, key) => node?.[key], target);
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Collect every schema violation instead of stopping at the first one
+function validate(value, schema, where, problems) {
+    if (value === undefined) {
+        if (schema.required) {
+            problems.push(`${where} is required`);
+        }
+        return;
+    }
+
+    if (value === null && schema.nullable) {
+        return;
+    }
+
+    const actual = typeOf(value);
+    const typeMatches = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+    if (!typeMatches) {
+        problems.push(`${where} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type} (got ${actual}${actual === 'string' ? ` "${value}"` : ''})`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${where} must be one of ${schema.enum.join(', ')} (got "${value}")`);
+    }
+    if (schema.regex) {
+        try {
+            new RegExp(value);
+        } catch (error) {
+            problems.push(`${where} is not a valid regular expression: ${error.message}`);
+        }
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        problems.push(`${where} has an invalid format (got "${value}")`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        problems.push(`${where} must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.min !== undefined && value < schema.min) {
+        problems.push(`${where} must be at least ${schema.min} (got ${value})`);
+    }
+    if (schema.max !== undefined && value > schema.max) {
+        problems.push(`${where} must be at most ${schema.max} (got ${value})`);
+    }
+
+    if (schema.type === 'object' && schema.properties) {
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+            validate(value[key], propertySchema, where ? `${where}.${key}` : key, problems);
+        }
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            problems.push(`${where} must contain at least ${schema.minItems} item(s)`);
+        }
+        value.forEach((item, index) => validate(item, schema.items, `${where}[${index}]`, problems));
+
+        if (schema.unique) {
+            const seen = new Set();
+            for (const item of value) {
+                const key = item?.[schema.unique];
+                if (seen.has(key)) {
+                    problems.push(`${where} contains duplicate ${schema.unique} "${key}"`);
+                }
+                seen.add(key);
+            }
+        }
+    }
+}
+
+function readConfigFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    try {
+        if (extension === '.yaml' || extension === '.yml') {
+            return require('yaml').parse(raw) || {};
+        }
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new ConfigError(`Could not parse ${filePath}`, [error.message]);
+    }
+}
+
+// Loads config.json (or CONFIG_PATH), applies env overrides and validates the result.
+// Emits 'reload' with { config, restartRequired } when the file changes on disk.
+class ConfigManager extends EventEmitter {
+    constructor(filePath = process.env.CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+        super();
+        this.filePath = path.resolve(filePath);
+        this.config = null;
+        this.watching = false;
+    }
+
+    read() {
+        let fileConfig = {};
+        if (fs.existsSync(this.filePath)) {
+            fileConfig = readConfigFile(this.filePath);
+            if (!isPlainObject(fileConfig)) {
+                throw new ConfigError(`Invalid configuration in ${this.filePath}`, ['top level must be an object']);
+            }
+        }
+
+        const config = merge(structuredClone(DEFAULTS), fileConfig);
+        for (const [name, dottedPath, transform] of ENV_OVERRIDES) {
+            const value = process.env[name];
+            if (value !== undefined && value !== '') {
+                const converted = transform ? transform(value) : value;
+                setPath(config, dottedPath, Number.isNaN(converted) ? value : converted);
+            }
+        }
+
+        const problems = [];
+        validate(config, SCHEMA, '', problems);
+        if (problems.length > 0) {
+            throw new ConfigError(`Invalid configuration (${this.filePath} + environment)`, problems);
+        }
+
+        return config;
+    }
+
+    load() {
+        this.config = this.read();
+        return this.config;
+    }
+
+    watch(interval = 2000) {
+        if (this.watching) return;
+        this.watching = true;
+
+        fs.watchFile(this.filePath, { interval }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+            this.reload();
+        });
+    }
+
+    unwatch() {
+        if (!this.watching) return;
+        fs.unwatchFile(this.filePath);
+        this.watching = false;
+    }
+
+    // Apply non-connection settings in place so holders of the config object see them
+    reload() {
+        let next;
+        try {
+            next = this.read();
+        } catch (error) {
+            log.error('⚠️  Config reload rejected, keeping previous settings:\n' + error.message);
+            return;
+        }
+
+        const restartRequired = CONNECTION_SECTIONS.filter(section =>
+            JSON.stringify(next[section]) !== JSON.stringify(this.config[section]));
+
+        const accountIds = accounts => JSON.stringify(accounts.map(account => [account.id, account.username]));
+        if (accountIds(next.accounts) !== accountIds(this.config.accounts)) {
+            restartRequired.push('accounts');
+        }
+
+        // Keep the running value until a restart applies the new one
+        for (const dottedPath of STARTUP_SETTINGS) {
+            const current = getPath(this.config, dottedPath);
+            if (JSON.stringify(getPath(next, dottedPath)) !== JSON.stringify(current)) {
+                restartRequired.push(dottedPath);
+                setPath(next, dottedPath, current);
+            }
+        }
+
+        for (const [section, value] of Object.entries(next)) {
+            if (!CONNECTION_SECTIONS.includes(section)) {
+                this.config[section] = value;
+            }
+        }
+
+        if (restartRequired.length > 0) {
+            log.warn(`⚠️  Config changes to ${restartRequired.join(', ')} require a restart to take effect`);
+        }
+        log.info('🔁 Configuration reloaded');
+        this.emit('reload', { config: this.config, restartRequired });
+    }
+}
+
+module.exports = {
+    ConfigManager,
+    ConfigError,
+    DEFAULTS
+};
@@ -0,0 +1,126 @@
+const { createLogger } = require('./logger');
+
+const log = createLogger('web');
+
+// Status is compared this often so coordinates and health stay live without
+// the session emitting 'update' on every move
+const STATUS_INTERVAL = 2000;
+const KEEPALIVE_INTERVAL = 25000;
+
+// Server-Sent Events feed for the web dashboard. A new client first gets a
+// 'snapshot' event, then 'status', 'chat' and 'notice' events as they happen.
+class EventStream {
+    constructor({ sessions, historySize = 100 }) {
+        this.sessions = sessions;
+        this.historySize = historySize;
+        this.clients = new Set();
+        this.chatHistory = new Map();
+        this.lastStatus = new Map();
+        this.statusTimer = null;
+        this.keepaliveTimer = null;
+    }
+
+    attach(session) {
+        this.chatHistory.set(session.id, []);
+
+        session.on('update', () => this.sendStatus(session));
+        session.on('chat', ({ text, position, time }) => {
+            const entry = { account: session.id, text, position, time };
+            const history = this.chatHistory.get(session.id);
+            history.push(entry);
+            if (history.length > this.historySize) history.shift();
+            this.broadcast('chat', entry);
+        });
+        session.on('authCode', () => this.sendStatus(session));
+        session.on('authExpired', () => this.notice(session, 'warning', 'The sign-in code expired, connect again for a new one'));
+        session.on('reconnectStopped', (info) => this.notice(session, 'error', `Reconnecting stopped (${info.class})${info.reason ? `: ${info.reason}` : ''}`));
+        session.on('disconnected', ({ type, reason }) => this.notice(session, 'warning', `Disconnected (${type})${reason ? `: ${reason}` : ''}`));
+    }
+
+    // Status plus the sign-in prompt, which getStatus() leaves out
+    describe(session) {
+        return {
+            ...session.getStatus(),
+            auth: session.authUrl && session.userCode
+                ? { url: session.authUrl, code: session.userCode, expiresAt: session.authExpiresAt }
+                : null
+        };
+    }
+
+    start() {
+        if (this.statusTimer) return;
+        this.statusTimer = setInterval(() => {
+            if (this.clients.size === 0) return;
+            for (const session of this.sessions.values()) {
+                this.sendStatus(session);
+            }
+        }, STATUS_INTERVAL);
+        this.keepaliveTimer = setInterval(() => {
+            for (const res of this.clients) {
+                res.write(': keepalive\n\n');
+            }
+        }, KEEPALIVE_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.statusTimer);
+        clearInterval(this.keepaliveTimer);
+        this.statusTimer = null;
+        this.keepaliveTimer = null;
+        for (const res of this.clients) {
+            res.end();
+        }
+        this.clients.clear();
+    }
+
+    // Express handler for GET /events
+    handler(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Stop reverse proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        this.write(res, 'snapshot', {
+            accounts: [...this.sessions.values()].map(session => this.describe(session)),
+            chat: [...this.chatHistory.values()].flat().sort((a, b) => a.time - b.time),
+            capabilities: req.access ? [...req.access.capabilities] : []
+        });
+
+        this.clients.add(res);
+        log.debug(`📡 Dashboard client connected (${this.clients.size} open)`);
+        req.on('close', () => {
+            this.clients.delete(res);
+            log.debug(`📡 Dashboard client disconnected (${this.clients.size} open)`);
+        });
+    }
+
+    // Only sent when something changed since the last status of the account
+    sendStatus(session) {
+        if (this.clients.size === 0) return;
+        const status = this.describe(session);
+        const key = JSON.stringify(status);
+        if (this.lastStatus.get(session.id) === key) return;
+        this.lastStatus.set(session.id, key);
+        this.broadcast('status', status);
+    }
+
+    notice(session, level, message) {
+        this.broadcast('notice', { account: session.id, level, message, time: Date.now() });
+    }
+
+    broadcast(event, data) {
+        for (const res of this.clients) {
+            this.write(res, event, data);
+        }
+    }
+
+    write(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
+
+module.exports = EventStream;
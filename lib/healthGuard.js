@@ -0,0 +1,166 @@
+const EventEmitter = require('events');
+
+const MAX_HEALTH = 20;
+const ATTACKER_RANGE = 8;
+
+// Foods that hurt more than they help
+const BAD_FOODS = ['rotten_flesh', 'spider_eye', 'poisonous_potato', 'pufferfish', 'suspicious_stew', 'chorus_fruit'];
+
+function describeEntity(entity) {
+    if (!entity) return null;
+    return {
+        name: entity.username || entity.displayName || entity.name || 'Unknown',
+        type: entity.type,
+        player: entity.type === 'player'
+    };
+}
+
+// Watches health and food of every connected account: eats when hungry,
+// emits 'alert' (session, info) on damage, low health and death, and quits
+// the server when health drops below the emergency threshold.
+class HealthGuard extends EventEmitter {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.state = new Map();
+    }
+
+    get settings() {
+        return this.config.healthGuard;
+    }
+
+    attach(session) {
+        session.on('login', () => this.watch(session));
+        session.on('disconnected', () => this.state.delete(session.id));
+    }
+
+    watch(session) {
+        const bot = session.minecraftBot;
+        if (!bot) return;
+
+        const state = { bot, eating: false, noFoodWarned: false, lastDamageAlert: 0, lowHealthAlerted: false, emergency: false };
+        this.state.set(session.id, state);
+        const isActive = () => this.state.get(session.id) === state && session.minecraftBot === bot;
+
+        bot.on('health', () => {
+            if (!isActive() || !this.settings.enabled) return;
+            this.checkHealth(session, state);
+            this.checkFood(session, state).catch(error => session.log.warn('🍗 Auto-eat failed:', error.message));
+        });
+
+        bot.on('entityHurt', (entity, source) => {
+            if (!isActive() || !this.settings.enabled || entity !== bot.entity) return;
+            this.handleDamage(session, state, source);
+        });
+
+        bot.on('death', () => {
+            if (!isActive()) return;
+            session.log.warn('💀 Bot died');
+            this.emit('alert', session, { kind: 'death', ...this.snapshot(bot) });
+        });
+    }
+
+    snapshot(bot) {
+        const position = bot.entity?.position;
+        return {
+            health: bot.health ?? null,
+            food: bot.food ?? null,
+            position: position ? { x: position.x, y: position.y, z: position.z } : null
+        };
+    }
+
+    // The damage source when the server sends one, otherwise the closest
+    // hostile or player within a few blocks
+    findAttacker(bot, source) {
+        if (source && source !== bot.entity) return describeEntity(source);
+
+        const position = bot.entity?.position;
+        if (!position) return null;
+
+        const nearby = Object.values(bot.entities)
+            .filter(entity => entity !== bot.entity && (entity.type === 'player' || entity.type === 'hostile' || entity.type === 'mob'))
+            .filter(entity => entity.position.distanceTo(position) <= ATTACKER_RANGE)
+            .sort((a, b) => a.position.distanceTo(position) - b.position.distanceTo(position));
+        return describeEntity(nearby[0]);
+    }
+
+    handleDamage(session, state, source) {
+        const bot = state.bot;
+        const now = Date.now();
+        if (!this.settings.alertOnDamage || now - state.lastDamageAlert < this.settings.damageCooldown) return;
+
+        state.lastDamageAlert = now;
+        const attacker = this.findAttacker(bot, source);
+        session.log.warn(`💥 Took damage${attacker ? ` near ${attacker.name}` : ''}, health ${bot.health}/${MAX_HEALTH}`);
+        this.emit('alert', session, { kind: 'damage', attacker, ...this.snapshot(bot) });
+    }
+
+    checkHealth(session, state) {
+        const bot = state.bot;
+        const { lowHealth, emergency } = this.settings;
+
+        if (bot.health <= lowHealth && !state.lowHealthAlerted) {
+            state.lowHealthAlerted = true;
+            session.log.warn(`❤️ Health is low: ${bot.health}/${MAX_HEALTH}`);
+            this.emit('alert', session, { kind: 'lowHealth', attacker: this.findAttacker(bot), ...this.snapshot(bot) });
+        } else if (bot.health > lowHealth) {
+            state.lowHealthAlerted = false;
+        }
+
+        if (emergency.enabled && bot.health > 0 && bot.health <= emergency.below && !state.emergency) {
+            state.emergency = true;
+            const rejoin = emergency.action === 'rejoin';
+            session.log.warn(`🚨 Health ${bot.health}/${MAX_HEALTH}, leaving the server${rejoin ? ' and rejoining later' : ''}`);
+            this.emit('alert', session, { kind: 'emergency', rejoin, attacker: this.findAttacker(bot), ...this.snapshot(bot) });
+            session.emergencyQuit(`Health guard: health ${bot.health}/${MAX_HEALTH}`, rejoin);
+        }
+    }
+
+    pickFood(bot) {
+        const foods = bot.registry.foodsByName;
+        const preferred = this.settings.foods;
+
+        const candidates = bot.inventory.items()
+            .filter(item => foods[item.name] && !BAD_FOODS.includes(item.name))
+            .filter(item => preferred.length === 0 || preferred.includes(item.name));
+
+        if (preferred.length > 0) {
+            candidates.sort((a, b) => preferred.indexOf(a.name) - preferred.indexOf(b.name));
+        } else {
+            candidates.sort((a, b) => foods[b.name].foodPoints - foods[a.name].foodPoints);
+        }
+        return candidates[0] || null;
+    }
+
+    async checkFood(session, state) {
+        const bot = state.bot;
+        if (!this.settings.autoEat || state.eating || bot.food >= this.settings.eatBelow) return;
+
+        const food = this.pickFood(bot);
+        if (!food) {
+            if (!state.noFoodWarned) {
+                state.noFoodWarned = true;
+                session.log.warn('🍗 Hungry but no food in inventory');
+                this.emit('alert', session, { kind: 'noFood', ...this.snapshot(bot) });
+            }
+            return;
+        }
+
+        state.eating = true;
+        state.noFoodWarned = false;
+        const previous = bot.heldItem;
+        try {
+            await bot.equip(food, 'hand');
+            await bot.consume();
+            session.log.info(`🍗 Ate ${food.displayName || food.name}, food ${bot.food}/20`);
+            if (previous && previous.name !== food.name) {
+                const again = bot.inventory.items().find(item => item.type === previous.type);
+                if (again) await bot.equip(again, 'hand');
+            }
+        } finally {
+            state.eating = false;
+        }
+    }
+}
+
+module.exports = HealthGuard;
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+
+const PLAYER_NAME = /^\w{3,16}$/;
+
+// Private messages received by any account, persisted so /inbox survives restarts.
+// Whisper formats come from config.inbox.patterns, each with named groups
+// "player" and "message".
+class Inbox {
+    constructor(filePath, config) {
+        this.store = new JsonStore(filePath, { messages: [] });
+        this.config = config;
+        this.patternCache = { key: null, patterns: [] };
+    }
+
+    get settings() {
+        return this.config.inbox;
+    }
+
+    get patterns() {
+        const key = this.settings.patterns.join('\u0000');
+        if (this.patternCache.key !== key) {
+            this.patternCache = { key, patterns: this.settings.patterns.map(pattern => new RegExp(pattern, 'i')) };
+        }
+        return this.patternCache.patterns;
+    }
+
+    // Returns { player, message } when the chat line is a whisper to us
+    parse(text) {
+        for (const pattern of this.patterns) {
+            const match = text.match(pattern);
+            if (match?.groups?.player && match.groups.message && PLAYER_NAME.test(match.groups.player)) {
+                return { player: match.groups.player, message: match.groups.message.trim() };
+            }
+        }
+        return null;
+    }
+
+    add(account, player, message) {
+        const entry = {
+            id: crypto.randomBytes(4).toString('hex'),
+            account,
+            player,
+            message,
+            time: Date.now()
+        };
+
+        const messages = this.store.data.messages;
+        messages.push(entry);
+        if (messages.length > this.settings.maxStored) {
+            messages.splice(0, messages.length - this.settings.maxStored);
+        }
+        this.store.save();
+        return entry;
+    }
+
+    // Newest first
+    list({ account, player, limit = 10 } = {}) {
+        return this.store.data.messages
+            .filter(entry => !account || entry.account === account)
+            .filter(entry => !player || entry.player.toLowerCase() === player.toLowerCase())
+            .slice(-limit)
+            .reverse();
+    }
+}
+
+module.exports = {
+    Inbox,
+    PLAYER_NAME
+};
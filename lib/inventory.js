@@ -0,0 +1,94 @@
+// Helpers around mineflayer's player inventory window. Slot numbers are
+// window slots: 5-8 armor, 9-35 main inventory, 36-44 hotbar, 45 offhand.
+
+const ARMOR_SLOTS = { head: 5, torso: 6, legs: 7, feet: 8 };
+const OFFHAND_SLOT = 45;
+const HOTBAR_START = 36;
+
+// Item name suffixes that tell mineflayer where to equip something
+const EQUIP_DESTINATIONS = [
+    [/_helmet$|^turtle_helmet$|_head$|^carved_pumpkin$/, 'head'],
+    [/_chestplate$|^elytra$/, 'torso'],
+    [/_leggings$/, 'legs'],
+    [/_boots$/, 'feet'],
+    [/^shield$|^totem_of_undying$/, 'off-hand']
+];
+
+function describeItem(item) {
+    if (!item) return null;
+    const durability = item.maxDurability ? item.maxDurability - (item.durabilityUsed || 0) : null;
+    return {
+        slot: item.slot,
+        name: item.name,
+        displayName: item.customName ? item.customName.replace(/§./g, '') : item.displayName,
+        count: item.count,
+        durability,
+        maxDurability: item.maxDurability || null
+    };
+}
+
+function getInventory(bot) {
+    const slots = bot.inventory.slots;
+    return {
+        heldSlot: HOTBAR_START + bot.quickBarSlot,
+        armor: Object.fromEntries(Object.entries(ARMOR_SLOTS).map(([name, slot]) => [name, describeItem(slots[slot])])),
+        offhand: describeItem(slots[OFFHAND_SLOT]),
+        items: bot.inventory.items().map(describeItem),
+        freeSlots: bot.inventory.emptySlotCount()
+    };
+}
+
+// Items matching a name or display name, case-insensitive
+function findItems(bot, query) {
+    const needle = query.trim().toLowerCase().replace(/\s+/g, '_');
+    return bot.inventory.items().filter(item =>
+        item.name === needle || item.displayName.toLowerCase().replace(/\s+/g, '_') === needle
+    );
+}
+
+function equipDestination(name) {
+    const match = EQUIP_DESTINATIONS.find(([pattern]) => pattern.test(name));
+    return match ? match[1] : 'hand';
+}
+
+async function dropSlot(bot, slot) {
+    const item = bot.inventory.slots[slot];
+    if (!item) {
+        throw new Error(`Slot ${slot} is empty`);
+    }
+    await bot.tossStack(item);
+    return describeItem(item);
+}
+
+async function equipItem(bot, query) {
+    const [item] = findItems(bot, query);
+    if (!item) {
+        throw new Error(`No "${query}" in the inventory`);
+    }
+    const destination = equipDestination(item.name);
+    await bot.equip(item, destination);
+    return { item: describeItem(item), destination };
+}
+
+// Toss every stack of an item, returns the number of items thrown
+async function tossAll(bot, query) {
+    const items = findItems(bot, query);
+    if (items.length === 0) {
+        throw new Error(`No "${query}" in the inventory`);
+    }
+
+    let count = 0;
+    for (const item of items) {
+        await bot.tossStack(item);
+        count += item.count;
+    }
+    return { name: items[0].name, count, stacks: items.length };
+}
+
+module.exports = {
+    getInventory,
+    findItems,
+    dropSlot,
+    equipItem,
+    tossAll
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('storage');
+
+// Small JSON document persisted to disk. Writes go to a temp file first and are
+// renamed into place so a crash mid-write never leaves a truncated file behind.
+class JsonStore {
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+        this.data = null;
+        this.load();
+    }
+
+    load() {
+        try {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error(`⚠️  Failed to read ${this.filePath}, starting from defaults:`, error.message);
+            }
+            this.data = structuredClone(this.defaults);
+        }
+        return this.data;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Protocol chatter that minecraft-protocol reports for harmless partial packets
+const NOISE_PATTERNS = [
+    /Chunk size is \d+ but only \d+ was read/,
+    /partial packet/
+];
+
+const DISCORD_FLUSH_INTERVAL = 10000;
+const DISCORD_MESSAGE_LIMIT = 1900;
+const DISCORD_MAX_MESSAGES_PER_FLUSH = 5;
+
+function formatArg(arg) {
+    if (arg instanceof Error) return arg.stack || arg.message;
+    if (typeof arg === 'object' && arg !== null) {
+        try {
+            return JSON.stringify(arg);
+        } catch (error) {
+            return String(arg);
+        }
+    }
+    return String(arg);
+}
+
+function isNoise(message) {
+    return NOISE_PATTERNS.some(pattern => pattern.test(message));
+}
+
+function formatText(entry) {
+    return `${entry.time} ${entry.level.toUpperCase().padEnd(5)} [${entry.tag}] ${entry.message}`;
+}
+
+// Receives every entry from every Logger and fans it out to the console, the
+// rotating log file, the in-memory history and the optional Discord channel.
+class LogManager {
+    constructor() {
+        this.options = {
+            level: process.env.LOG_LEVEL || 'info',
+            format: 'text',
+            historySize: 1000,
+            file: { enabled: false }
+        };
+        this.history = [];
+        this.fileSize = null;
+        this.discordSender = null;
+        this.discordLevel = 'warn';
+        this.discordQueue = [];
+        this.discordTimer = null;
+    }
+
+    configure(options = {}) {
+        this.options = { ...this.options, ...options, file: { ...this.options.file, ...options.file } };
+        this.fileSize = null;
+        if (this.history.length > this.options.historySize) {
+            this.history.splice(0, this.history.length - this.options.historySize);
+        }
+    }
+
+    get minLevel() {
+        return LEVELS[this.options.level] || LEVELS.info;
+    }
+
+    write(level, tag, args) {
+        const message = args.map(formatArg).join(' ');
+        if (level !== 'debug' && isNoise(message)) {
+            level = 'debug';
+        }
+        if (LEVELS[level] < this.minLevel) return;
+
+        const entry = { time: new Date().toISOString(), level, tag, message };
+
+        this.history.push(entry);
+        if (this.history.length > this.options.historySize) {
+            this.history.shift();
+        }
+
+        const line = this.options.format === 'json' ? JSON.stringify(entry) : formatText(entry);
+        if (LEVELS[level] >= LEVELS.warn) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+
+        this.writeFile(entry);
+
+        if (this.discordSender && LEVELS[level] >= LEVELS[this.discordLevel]) {
+            this.discordQueue.push(entry);
+        }
+    }
+
+    // Log files are always JSON lines so they can be grepped and parsed later
+    writeFile(entry) {
+        const file = this.options.file;
+        if (!file.enabled) return;
+
+        const filePath = path.join(file.dir, file.name || 'bot.log');
+        const line = JSON.stringify(entry) + '\n';
+
+        try {
+            if (this.fileSize === null) {
+                fs.mkdirSync(file.dir, { recursive: true });
+                this.fileSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+            }
+
+            if (this.fileSize + line.length > file.maxSize) {
+                this.rotate(filePath, file.maxFiles);
+                this.fileSize = 0;
+            }
+
+            fs.appendFileSync(filePath, line);
+            this.fileSize += Buffer.byteLength(line);
+        } catch (error) {
+            // Never recurse into the logger from here
+            console.error('Failed to write log file:', error.message);
+        }
+    }
+
+    // bot.log -> bot.log.1 -> bot.log.2 ..., dropping anything past maxFiles
+    rotate(filePath, maxFiles) {
+        fs.rmSync(`${filePath}.${maxFiles}`, { force: true });
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            if (fs.existsSync(`${filePath}.${index}`)) {
+                fs.renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`);
+            }
+        }
+        if (fs.existsSync(filePath)) {
+            fs.renameSync(filePath, `${filePath}.1`);
+        }
+    }
+
+    // sender(text) posts one message to the log channel; entries are batched
+    attachDiscord(sender, level = 'warn') {
+        this.discordSender = sender;
+        this.discordLevel = level;
+
+        if (!this.discordTimer) {
+            this.discordTimer = setInterval(() => this.flushDiscord(), DISCORD_FLUSH_INTERVAL);
+            this.discordTimer.unref();
+        }
+    }
+
+    detachDiscord() {
+        if (this.discordTimer) {
+            clearInterval(this.discordTimer);
+            this.discordTimer = null;
+        }
+        this.discordSender = null;
+        this.discordQueue = [];
+    }
+
+    async flushDiscord() {
+        if (!this.discordSender || this.discordQueue.length === 0) return;
+
+        const entries = this.discordQueue.splice(0);
+        const messages = [];
+        let current = '';
+
+        for (const entry of entries) {
+            const line = `${entry.level === 'error' ? '🔴' : '🟡'} [${entry.tag}] ${entry.message}`.substring(0, 500);
+            if (current.length + line.length + 1 > DISCORD_MESSAGE_LIMIT) {
+                messages.push(current);
+                current = '';
+            }
+            current += (current ? '\n' : '') + line;
+        }
+        if (current) messages.push(current);
+
+        const dropped = messages.length - DISCORD_MAX_MESSAGES_PER_FLUSH;
+        for (const text of messages.slice(0, DISCORD_MAX_MESSAGES_PER_FLUSH)) {
+            try {
+                await this.discordSender(text);
+            } catch (error) {
+                console.error('Failed to send logs to Discord:', error.message);
+                return;
+            }
+        }
+        if (dropped > 0) {
+            try {
+                await this.discordSender(`… ${dropped} more message(s) of logs skipped, see GET /logs`);
+            } catch (error) {
+                console.error('Failed to send logs to Discord:', error.message);
+            }
+        }
+    }
+
+    getEntries({ level, tag, limit = 50 } = {}) {
+        const minLevel = LEVELS[level] || LEVELS.debug;
+        return this.history
+            .filter(entry => LEVELS[entry.level] >= minLevel)
+            .filter(entry => !tag || entry.tag === tag || entry.tag.startsWith(`${tag}:`))
+            .slice(-limit);
+    }
+}
+
+const manager = new LogManager();
+
+// Tagged logger, e.g. createLogger('minecraft:main'). Messages matching
+// NOISE_PATTERNS are demoted to debug so they only show up with level debug.
+class Logger {
+    constructor(tag) {
+        this.tag = tag;
+    }
+
+    child(tag) {
+        return new Logger(`${this.tag}:${tag}`);
+    }
+
+    debug(...args) {
+        manager.write('debug', this.tag, args);
+    }
+
+    info(...args) {
+        manager.write('info', this.tag, args);
+    }
+
+    warn(...args) {
+        manager.write('warn', this.tag, args);
+    }
+
+    error(...args) {
+        manager.write('error', this.tag, args);
+    }
+}
+
+function createLogger(tag) {
+    return new Logger(tag);
+}
+
+module.exports = {
+    createLogger,
+    isNoise,
+    logManager: manager,
+    LEVELS
+};
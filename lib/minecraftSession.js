@@ -0,0 +1,651 @@
+const EventEmitter = require('events');
+const mineflayer = require('mineflayer');
+const { runScript } = require('./onJoinScript');
+const { AUTH_OPTIONS } = require('./tokenStore');
+const { createLogger, isNoise } = require('./logger');
+const ReconnectPolicy = require('./reconnectPolicy');
+const { readSidebar } = require('./scoreboard');
+
+// One Minecraft account with its own connection, reconnect and position state.
+// The fleet manager in index.js listens for 'update' to refresh Discord embeds.
+class MinecraftSession extends EventEmitter {
+    constructor(account, config, services = {}) {
+        super();
+        this.id = account.id;
+        this.username = account.username;
+        this.initialAccount = account;
+        this.config = config;
+        this.onJoinScripts = services.onJoinScripts;
+        this.tokenStore = services.tokenStore;
+        this.serverStatus = services.serverStatus;
+        this.onJoinStarted = false;
+
+        this.minecraftBot = null;
+        this.isConnected = false;
+        this.isConnecting = false;
+        // Bumped by every connect() and disconnect() so an older connect that is
+        // still refreshing tokens or pinging the server knows to give up
+        this.connectGeneration = 0;
+        this.shouldJoin = false;
+        this.authUrl = null;
+        this.userCode = null;
+        this.authExpiresAt = null;
+        this.authExpired = false;
+        this.authMessageSent = false;
+        this.authCheckTimeout = null;
+        this.authExpiryTimer = null;
+        this.authLog = createLogger(`auth:${this.id}`);
+        this.log = createLogger(`minecraft:${this.id}`);
+        this.reconnectLog = createLogger(`reconnect:${this.id}`);
+
+        // Discord state for this account, managed by the fleet manager
+        this.controlMessage = null;
+        this.authMessage = null;
+        this.lastAuthUser = null;
+
+        this.currentWorld = 'Unknown';
+        this.currentCoords = { x: 0, y: 0, z: 0 };
+        this.windowQueue = Promise.resolve();
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.reconnectPolicy = new ReconnectPolicy(config);
+        this.lastDisconnect = null;
+        this.nextReconnectAt = null;
+        // Set when a fatal disconnect stopped reconnecting, cleared by join()
+        this.reconnectStopped = null;
+        // kicked, error and end can all fire for one disconnect; only the first counts
+        this.endedBots = new WeakSet();
+
+        // Scoreboard properties
+        this.lastScoreboard = null;
+        this.scoreboardUpdateInterval = null;
+    }
+
+    // Account settings are looked up on every use so config reloads apply immediately
+    get account() {
+        return this.config.accounts.find(account => account.id === this.id) || this.initialAccount;
+    }
+
+    get maxReconnectAttempts() {
+        return this.config.reconnect.maxAttempts;
+    }
+
+    // Key for the token cache; with Microsoft auth the in-game name comes from the profile
+    get authUsername() {
+        return this.account.username || this.id;
+    }
+
+    get usesMicrosoftAuth() {
+        return this.config.minecraft.auth === 'microsoft' && !!this.tokenStore;
+    }
+
+    getTokenInfo() {
+        if (!this.usesMicrosoftAuth) return null;
+        return this.tokenStore.getTokenInfo(this.authUsername);
+    }
+
+    // Refresh the cached Minecraft token ahead of expiry. Failing here is not fatal:
+    // the next connect falls back to the device-code flow.
+    async refreshTokenIfNeeded() {
+        const info = this.getTokenInfo();
+        if (!info || !info.hasRefreshToken) return false;
+        if (info.hasToken && info.remainingMs > this.config.auth.refreshMargin) return false;
+
+        try {
+            this.authLog.info('🔄 Refreshing Minecraft token before it expires...');
+            await this.tokenStore.refresh(this.authUsername);
+            this.authLog.info('✅ Minecraft token refreshed');
+            this.update();
+            return true;
+        } catch (error) {
+            this.authLog.warn('⚠️  Token refresh failed, device-code sign-in will be needed:', error.message);
+            return false;
+        }
+    }
+
+    get displayName() {
+        return this.minecraftBot?.username || this.username || this.id;
+    }
+
+    getStatusText() {
+        if (this.authUrl && this.userCode) {
+            return '⏳ Waiting for Microsoft authentication...';
+        }
+        if (this.authExpired) {
+            return '⌛ Sign-in code expired, react ✅ to get a new one';
+        }
+        if (this.reconnectStopped && !this.shouldJoin) {
+            return `⛔ Stopped reconnecting (${this.reconnectStopped.name}), react ✅ to retry`;
+        }
+        if (this.isConnected && this.minecraftBot) {
+            return `✅ Connected as ${this.minecraftBot.username}`;
+        }
+        if (this.shouldJoin && !this.isConnected) {
+            if (this.lastDisconnect?.name === 'unreachable' && this.nextReconnectAt) {
+                return '📡 Server unreachable, waiting for it to come back...';
+            }
+            if (this.reconnectAttempts > 0) {
+                return `🔄 Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`;
+            }
+            return '⏳ Connecting...';
+        }
+        return '❌ Disconnected';
+    }
+
+    getStatus() {
+        return {
+            account: this.id,
+            connected: this.isConnected,
+            shouldJoin: this.shouldJoin,
+            username: this.minecraftBot?.username || null,
+            tokenExpiresAt: this.getTokenInfo()?.expiresAt || null,
+            server: `${this.config.minecraft.host}:${this.config.minecraft.port}`,
+            version: this.config.minecraft.version,
+            world: this.currentWorld,
+            coordinates: this.currentCoords,
+            health: this.isConnected ? this.minecraftBot?.health ?? null : null,
+            food: this.isConnected ? this.minecraftBot?.food ?? null : null,
+            reconnectAttempts: this.reconnectAttempts,
+            maxReconnectAttempts: this.maxReconnectAttempts,
+            nextReconnectAt: this.nextReconnectAt,
+            lastDisconnect: this.lastDisconnect && {
+                type: this.lastDisconnect.type,
+                class: this.lastDisconnect.name,
+                reason: this.lastDisconnect.reason,
+                time: this.lastDisconnect.time
+            },
+            reconnectStopped: this.reconnectStopped?.name || null,
+            authRequired: !!(this.authUrl && this.userCode),
+            authExpiresAt: this.authExpiresAt,
+            authExpired: this.authExpired,
+            scoreboard: this.lastScoreboard
+        };
+    }
+
+    update() {
+        this.emit('update');
+    }
+
+    // Sidebar polling; 'scoreboard' is emitted whenever the lines change
+    startScoreboardUpdates() {
+        this.stopScoreboardUpdates();
+        if (!this.config.scoreboard.enabled) return;
+
+        const bot = this.minecraftBot;
+        this.scoreboardUpdateInterval = setInterval(() => {
+            if (this.minecraftBot !== bot || !this.isConnected) return;
+            this.refreshScoreboard();
+        }, this.config.scoreboard.updateInterval);
+    }
+
+    stopScoreboardUpdates() {
+        if (this.scoreboardUpdateInterval) {
+            clearInterval(this.scoreboardUpdateInterval);
+            this.scoreboardUpdateInterval = null;
+        }
+    }
+
+    refreshScoreboard() {
+        const sidebar = readSidebar(this.minecraftBot);
+        if (!sidebar) return this.lastScoreboard;
+
+        const changed = !this.lastScoreboard
+            || this.lastScoreboard.title !== sidebar.title
+            || this.lastScoreboard.lines.join('\n') !== sidebar.lines.join('\n');
+        this.lastScoreboard = { ...sidebar, updatedAt: Date.now() };
+        if (changed) {
+            this.emit('scoreboard', this.lastScoreboard);
+        }
+        return this.lastScoreboard;
+    }
+
+    updatePositionInfo() {
+        if (this.minecraftBot && this.minecraftBot.entity && this.minecraftBot.entity.position) {
+            this.currentCoords = {
+                x: this.minecraftBot.entity.position.x,
+                y: this.minecraftBot.entity.position.y,
+                z: this.minecraftBot.entity.position.z
+            };
+        }
+    }
+
+    // Start connecting and keep the account online until disconnect() is called
+    async join() {
+        this.shouldJoin = true;
+        this.reconnectAttempts = 0;
+        this.authExpired = false;
+        this.reconnectStopped = null;
+        await this.connect();
+    }
+
+    disconnect() {
+        this.shouldJoin = false;
+        this.reconnectAttempts = 0;
+        this.isConnecting = false;
+        this.connectGeneration++;
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.nextReconnectAt = null;
+
+        if (this.minecraftBot) {
+            this.minecraftBot.quit();
+            this.minecraftBot = null;
+        }
+
+        this.update();
+    }
+
+    // Leave right away. With rejoin the reconnect policy brings the account
+    // back (the reason matches the healthGuard class), otherwise it stays offline.
+    emergencyQuit(reason, rejoin) {
+        if (!rejoin) {
+            this.disconnect();
+            return;
+        }
+        if (this.minecraftBot) {
+            this.minecraftBot.quit(reason);
+        }
+    }
+
+    // Window work (containers, /sell, /ah) runs one task at a time per account
+    runExclusive(task) {
+        const run = this.windowQueue.then(task, task);
+        this.windowQueue = run.catch(() => {});
+        return run;
+    }
+
+    chat(message) {
+        if (!this.isConnected || !this.minecraftBot) {
+            throw new Error(`Account ${this.id} is not connected`);
+        }
+        this.minecraftBot.chat(message);
+    }
+
+    // reconnectClass comes from the reconnect policy and picks the backoff
+    async attemptReconnect(reconnectClass = this.reconnectPolicy.classify('end', null)) {
+        if (!this.shouldJoin) {
+            this.reconnectLog.info('Reconnection cancelled - shouldJoin is false');
+            return;
+        }
+
+        if (this.isConnecting) {
+            this.reconnectLog.info('Connection already in progress, skipping');
+            return;
+        }
+
+        if (this.reconnectTimer) {
+            this.reconnectLog.debug('Reconnect already scheduled, skipping');
+            return;
+        }
+
+        if (reconnectClass.fatal) {
+            this.stopReconnecting(reconnectClass, `Fatal disconnect (${reconnectClass.name}): ${reconnectClass.reason}`);
+            return;
+        }
+
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.stopReconnecting({ ...reconnectClass, name: 'maxAttempts' }, 'Max reconnection attempts reached');
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const delay = this.reconnectPolicy.getDelay(reconnectClass, this.reconnectAttempts);
+        this.nextReconnectAt = Date.now() + delay;
+        this.reconnectLog.info(`Attempting reconnection ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${Math.round(delay / 1000)}s (${reconnectClass.name})`);
+
+        this.update();
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            this.nextReconnectAt = null;
+            if (this.shouldJoin && !this.isConnected && !this.isConnecting) {
+                await this.connect();
+            }
+        }, delay);
+    }
+
+    // Ping the server before logging in. While it is unreachable we keep
+    // polling without using up reconnect attempts.
+    async preflight() {
+        if (!this.serverStatus || !this.config.serverPing.enabled || !this.config.serverPing.preflight) return true;
+
+        const status = await this.serverStatus.check();
+        if (status.online) return true;
+
+        this.isConnecting = false;
+        if (!this.shouldJoin) {
+            this.update();
+            return false;
+        }
+
+        const delay = this.config.serverPing.retryDelay;
+        this.lastDisconnect = { ...this.reconnectPolicy.classify('error', status.error), name: 'unreachable', time: Date.now() };
+        this.nextReconnectAt = Date.now() + delay;
+        this.reconnectLog.warn(`📡 Server did not answer the status ping (${status.error}), checking again in ${Math.round(delay / 1000)}s`);
+
+        if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            this.nextReconnectAt = null;
+            if (this.shouldJoin && !this.isConnected && !this.isConnecting) {
+                await this.connect();
+            }
+        }, delay);
+
+        this.update();
+        return false;
+    }
+
+    stopReconnecting(reconnectClass, message) {
+        this.reconnectLog.warn(`⛔ ${message}, not reconnecting`);
+        this.shouldJoin = false;
+        this.nextReconnectAt = null;
+        this.reconnectStopped = reconnectClass;
+        this.emit('reconnectStopped', {
+            class: reconnectClass.name,
+            type: reconnectClass.type,
+            reason: reconnectClass.reason,
+            attempts: this.reconnectAttempts
+        });
+        this.update();
+    }
+
+    async connect() {
+        if (this.isConnecting) {
+            this.log.info('🎮 Connection already in progress, skipping...');
+            return;
+        }
+
+        if (this.minecraftBot) {
+            this.minecraftBot.quit();
+        }
+
+        const generation = ++this.connectGeneration;
+        // The account may have been disconnected (or connected again) while we were waiting
+        const cancelled = () => {
+            if (this.shouldJoin && generation === this.connectGeneration) return false;
+            if (generation === this.connectGeneration) {
+                this.isConnecting = false;
+                this.update();
+            }
+            this.log.info('🎮 Connection cancelled');
+            return true;
+        };
+
+        try {
+            this.isConnecting = true;
+            this.log.info('🎮 Connecting to Minecraft server...');
+            this.update();
+            this.emit('connecting');
+
+            await this.refreshTokenIfNeeded();
+            if (cancelled()) return;
+
+            if (!(await this.preflight())) return;
+            if (cancelled()) return;
+
+            this.minecraftBot = mineflayer.createBot({
+                host: this.config.minecraft.host,
+                port: this.config.minecraft.port,
+                version: this.config.minecraft.version,
+                auth: this.config.minecraft.auth,
+                username: this.authUsername,
+                hideErrors: true,
+                onMsaCode: (data) => this.handleMsaCode(data),
+                ...(this.usesMicrosoftAuth ? { profilesFolder: this.tokenStore.cacheFactory, ...AUTH_OPTIONS } : {})
+            });
+
+            this.setupMinecraftEvents();
+
+            this.authCheckTimeout = setTimeout(() => {
+                if (!this.authMessageSent && !this.isConnected) {
+                    this.authLog.debug('No authentication message detected after 5 seconds - checking connection status');
+                    if (this.isConnected) {
+                        this.authLog.debug('Bot connected without authentication prompt - using cached login');
+                    } else {
+                        this.authLog.debug('Bot still not connected - may need manual authentication');
+                    }
+                }
+            }, 5000);
+
+        } catch (error) {
+            this.log.error('Failed to connect to Minecraft:', error);
+            this.isConnecting = false;
+            if (this.shouldJoin) {
+                this.reconnectLog.info('Connection failed, attempting reconnect...');
+                await this.attemptReconnect(this.reconnectPolicy.classify('error', error.message));
+            } else {
+                this.update();
+            }
+        }
+    }
+
+    setupMinecraftEvents() {
+        const bot = this.minecraftBot;
+
+        bot.on('login', async () => {
+            this.log.info('✅ Successfully connected to Minecraft server!');
+            this.isConnected = true;
+            this.isConnecting = false;
+            this.clearAuthCode();
+            this.authMessageSent = false;
+            const reconnectAttempts = this.reconnectAttempts;
+            this.reconnectAttempts = 0;
+            this.onJoinStarted = false;
+
+            if (bot.game && bot.game.dimension) {
+                this.currentWorld = bot.game.dimension;
+            }
+
+            if (this.authCheckTimeout) {
+                clearTimeout(this.authCheckTimeout);
+            }
+
+            this.emit('login', { reconnectAttempts });
+            this.startScoreboardUpdates();
+            this.update();
+        });
+
+        bot.on('spawn', async () => {
+            this.log.info('🌍 Bot spawned in Minecraft world');
+
+            this.updatePositionInfo();
+
+            if (bot.game && bot.game.dimension) {
+                this.currentWorld = bot.game.dimension;
+            }
+
+            // 'spawn' also fires after deaths, only run the join routine once per login
+            if (!this.onJoinStarted) {
+                this.onJoinStarted = true;
+                this.runOnJoin().catch(error => {
+                    this.log.error('📜 On-join script failed:', error);
+                });
+            }
+
+            this.update();
+        });
+
+        bot.on('move', () => {
+            this.updatePositionInfo();
+        });
+
+        // Re-emitted for chat consumers (relay, alerts...); action bar updates are skipped
+        bot.on('message', (jsonMsg, position) => {
+            if (position === 'game_info') return;
+            const text = jsonMsg.toString();
+            if (!text.trim()) return;
+            this.emit('chat', { text, position, jsonMsg, time: Date.now() });
+        });
+
+        bot.on('respawn', () => {
+            if (bot.game && bot.game.dimension) {
+                this.currentWorld = bot.game.dimension;
+                this.log.info('Bot respawned/changed dimension to:', this.currentWorld);
+                this.update();
+            }
+        });
+
+        bot.on('end', async (reason) => {
+            await this.handleDisconnect(bot, 'end', reason);
+        });
+
+        bot.on('error', async (error) => {
+            if (this.isStale(bot)) return;
+
+            // Partial packet warnings do not mean the connection is gone
+            if (isNoise(error.message || '')) {
+                this.log.debug('Ignoring protocol warning:', error.message);
+                return;
+            }
+
+            // Errors while a sign-in code is outstanding mean the device-code flow failed
+            if (this.userCode && !this.isConnected) {
+                this.authLog.error('Microsoft sign-in failed:', error.message);
+                this.expireAuthCode();
+                return;
+            }
+
+            await this.handleDisconnect(bot, 'error', error.message || String(error));
+        });
+
+        bot.on('kicked', async (reason) => {
+            await this.handleDisconnect(bot, 'kicked', reason);
+        });
+    }
+
+    // Shared by end, kicked and error so one disconnect schedules one reconnect
+    async handleDisconnect(bot, type, reason) {
+        if (this.isStale(bot) || this.endedBots.has(bot)) return;
+        this.endedBots.add(bot);
+
+        const reconnectClass = this.reconnectPolicy.classify(type, reason);
+        this.lastDisconnect = { ...reconnectClass, time: Date.now() };
+
+        if (type === 'kicked') {
+            this.log.warn(`⚠️  Bot was kicked from server (${reconnectClass.name}):`, reconnectClass.reason);
+        } else if (type === 'error') {
+            this.log.error(`❌ Minecraft bot error (${reconnectClass.name}):`, reconnectClass.reason);
+        } else {
+            this.log.info('🔌 Minecraft connection ended:', reconnectClass.reason);
+        }
+
+        this.emitDisconnected(type, reason);
+        this.resetConnectionState();
+        this.minecraftBot = null;
+        // An error does not always close the socket, make sure this bot is gone
+        if (type === 'error') bot.quit();
+
+        this.update();
+
+        if (this.shouldJoin) {
+            await this.attemptReconnect(reconnectClass);
+        }
+    }
+
+    // Device-code callback from prismarine-auth, fired when no cached token can be used
+    handleMsaCode(data) {
+        this.authUrl = data.verification_uri;
+        this.userCode = data.user_code;
+        this.authExpiresAt = Date.now() + data.expires_in * 1000;
+        this.authExpired = false;
+        this.authMessageSent = true;
+        // The code itself stays out of the log, which /logs and the log channel expose
+        this.authLog.info(`Sign-in required, code sent to Discord (expires in ${Math.round(data.expires_in / 60)} min)`);
+
+        if (this.authExpiryTimer) {
+            clearTimeout(this.authExpiryTimer);
+        }
+        this.authExpiryTimer = setTimeout(() => this.expireAuthCode(), data.expires_in * 1000);
+
+        this.emit('authCode', {
+            verificationUri: this.authUrl,
+            userCode: this.userCode,
+            expiresAt: this.authExpiresAt
+        });
+        this.update();
+    }
+
+    clearAuthCode() {
+        this.authUrl = null;
+        this.userCode = null;
+        this.authExpiresAt = null;
+        if (this.authExpiryTimer) {
+            clearTimeout(this.authExpiryTimer);
+            this.authExpiryTimer = null;
+        }
+    }
+
+    // Give up on a sign-in nobody completed instead of requesting codes forever
+    expireAuthCode() {
+        if (this.isConnected) return;
+
+        this.authLog.warn('Sign-in code expired before authentication was completed');
+        this.clearAuthCode();
+        this.authExpired = true;
+        this.shouldJoin = false;
+        this.isConnecting = false;
+
+        if (this.minecraftBot) {
+            this.minecraftBot.quit();
+            this.minecraftBot = null;
+        }
+
+        this.emit('authExpired');
+        this.update();
+    }
+
+    async runOnJoin() {
+        const bot = this.minecraftBot;
+        if (!bot || !this.onJoinScripts) return false;
+
+        const steps = this.onJoinScripts.getScript(this.account);
+        if (steps.length === 0) return true;
+
+        this.log.info(`📜 Running on-join script (${steps.length} step(s))`);
+        return runScript(bot, steps, {
+            log: this.log.child('onjoin'),
+            isActive: () => this.minecraftBot === bot && this.isConnected
+        });
+    }
+
+    // Fired before the connection state is reset so listeners still see the world.
+    // Kicks while logging in are reported too, with connected set to false.
+    emitDisconnected(type, reason) {
+        if (!this.isConnected && type !== 'kicked') return;
+        this.emit('disconnected', { type, reason, connected: this.isConnected, world: this.currentWorld, time: Date.now() });
+    }
+
+    // Events from a bot instance that has already been replaced by a newer connection
+    isStale(bot) {
+        return this.minecraftBot !== null && this.minecraftBot !== bot;
+    }
+
+    resetConnectionState() {
+        this.stopScoreboardUpdates();
+        this.isConnected = false;
+        this.isConnecting = false;
+        this.currentWorld = 'Unknown';
+        this.currentCoords = { x: 0, y: 0, z: 0 };
+    }
+
+    shutdown() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+        }
+        if (this.authCheckTimeout) {
+            clearTimeout(this.authCheckTimeout);
+            this.authCheckTimeout = null;
+        }
+        this.stopScoreboardUpdates();
+        this.clearAuthCode();
+        if (this.minecraftBot) {
+            this.minecraftBot.quit();
+        }
+    }
+}
+
+module.exports = MinecraftSession;
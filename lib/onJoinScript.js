@@ -0,0 +1,187 @@
+const JsonStore = require('./jsonStore');
+
+const STEP_TYPES = ['chat', 'wait', 'waitForChat'];
+const MAX_WAIT = 10 * 60 * 1000;
+
+function normalizeDimension(dimension) {
+    return String(dimension || '').replace(/^minecraft:/, '').toLowerCase();
+}
+
+// Throws with a readable message when a step is malformed
+function validateStep(step) {
+    if (!step || !STEP_TYPES.includes(step.type)) {
+        throw new Error(`Step type must be one of ${STEP_TYPES.join(', ')}`);
+    }
+
+    if (step.type === 'chat' && (typeof step.message !== 'string' || step.message.trim() === '')) {
+        throw new Error('Chat steps need a message');
+    }
+    if (step.type === 'wait' && !(Number.isInteger(step.ms) && step.ms >= 0 && step.ms <= MAX_WAIT)) {
+        throw new Error(`Wait steps need a duration between 0 and ${MAX_WAIT}ms`);
+    }
+    if (step.type === 'waitForChat') {
+        try {
+            new RegExp(step.pattern, 'i');
+        } catch (error) {
+            throw new Error(`Invalid chat pattern: ${error.message}`);
+        }
+        if (step.timeout !== undefined && !(Number.isInteger(step.timeout) && step.timeout > 0 && step.timeout <= MAX_WAIT)) {
+            throw new Error(`Timeout must be between 1 and ${MAX_WAIT}ms`);
+        }
+    }
+    if (step.if !== undefined && (typeof step.if !== 'object' || typeof step.if.dimension !== 'string')) {
+        throw new Error('Step conditions must look like { "dimension": "overworld" }');
+    }
+
+    return step;
+}
+
+function describeStep(step) {
+    let text;
+    switch (step.type) {
+        case 'chat':
+            text = `💬 say \`${step.message}\``;
+            break;
+        case 'wait':
+            text = `⏱️ wait ${step.ms}ms`;
+            break;
+        case 'waitForChat':
+            text = `👂 wait for chat /${step.pattern}/ (timeout ${step.timeout || 10000}ms)`;
+            break;
+        default:
+            text = `❔ ${step.type}`;
+    }
+
+    if (step.if) {
+        text += ` — only in ${normalizeDimension(step.if.dimension)}`;
+    }
+    return text;
+}
+
+function conditionMatches(bot, condition) {
+    if (!condition) return true;
+    return normalizeDimension(bot.game?.dimension) === normalizeDimension(condition.dimension);
+}
+
+function waitForChat(bot, pattern, timeout) {
+    const regex = new RegExp(pattern, 'i');
+
+    return new Promise((resolve) => {
+        const listener = (message) => {
+            if (regex.test(message.toString())) {
+                cleanup();
+                resolve(true);
+            }
+        };
+        const timer = setTimeout(() => {
+            cleanup();
+            resolve(false);
+        }, timeout);
+        const cleanup = () => {
+            clearTimeout(timer);
+            bot.removeListener('message', listener);
+        };
+
+        bot.on('message', listener);
+    });
+}
+
+// Run steps in order against a bot. isActive() is checked between steps so a
+// script stops as soon as the connection it was started for goes away.
+async function runScript(bot, steps, { log, isActive }) {
+    for (const [index, step] of steps.entries()) {
+        if (!isActive()) {
+            log.info('On-join script aborted, connection changed');
+            return false;
+        }
+
+        if (!conditionMatches(bot, step.if)) {
+            log.info(`Skipping step ${index + 1}, condition not met`);
+            continue;
+        }
+
+        switch (step.type) {
+            case 'chat':
+                bot.chat(step.message);
+                log.info(`Step ${index + 1}: sent ${step.message}`);
+                break;
+            case 'wait':
+                await new Promise(resolve => setTimeout(resolve, step.ms));
+                break;
+            case 'waitForChat': {
+                const matched = await waitForChat(bot, step.pattern, step.timeout || 10000);
+                if (!matched) {
+                    log.info(`Step ${index + 1}: no chat matching /${step.pattern}/, stopping script`);
+                    return false;
+                }
+                break;
+            }
+        }
+    }
+
+    return true;
+}
+
+// Per-account on-join scripts persisted to disk. Accounts without a saved script
+// fall back to the legacy spawn.tpaTarget setting from the config file.
+class OnJoinScripts {
+    constructor(filePath, config) {
+        this.store = new JsonStore(filePath, {});
+        this.config = config;
+    }
+
+    hasCustomScript(accountId) {
+        return Array.isArray(this.store.data[accountId]);
+    }
+
+    getScript(account) {
+        if (this.hasCustomScript(account.id)) {
+            return this.store.data[account.id];
+        }
+
+        const tpaTarget = account.tpaTarget !== undefined ? account.tpaTarget : this.config.spawn.tpaTarget;
+        if (!tpaTarget) return [];
+        return [
+            { type: 'wait', ms: this.config.spawn.delay },
+            { type: 'chat', message: `/tpa ${tpaTarget}` }
+        ];
+    }
+
+    setScript(account, steps) {
+        steps.forEach(validateStep);
+        this.store.data[account.id] = steps;
+        this.store.save();
+    }
+
+    addStep(account, step, position) {
+        const steps = [...this.getScript(account)];
+        validateStep(step);
+        const index = position === undefined ? steps.length : Math.max(0, Math.min(position - 1, steps.length));
+        steps.splice(index, 0, step);
+        this.setScript(account, steps);
+        return steps;
+    }
+
+    removeStep(account, position) {
+        const steps = [...this.getScript(account)];
+        if (position < 1 || position > steps.length) {
+            throw new Error(`Step ${position} does not exist (script has ${steps.length} step(s))`);
+        }
+        const [removed] = steps.splice(position - 1, 1);
+        this.setScript(account, steps);
+        return removed;
+    }
+
+    // Forget the saved script so the config default applies again
+    reset(account) {
+        delete this.store.data[account.id];
+        this.store.save();
+    }
+}
+
+module.exports = {
+    OnJoinScripts,
+    runScript,
+    validateStep,
+    describeStep
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const { createLogger } = require('./logger');
+
+const log = createLogger('permissions');
+
+// admin implies every other capability
+const CAPABILITIES = ['view', 'connect', 'chat', 'admin'];
+
+// Denied attempts are written at most this often, so a flood of rejected
+// requests does not turn into a disk write each
+const SAVE_DELAY = 5000;
+
+function expand(capabilities) {
+    return capabilities.includes('admin') ? new Set(CAPABILITIES) : new Set(capabilities);
+}
+
+// Constant-time comparison so API keys cannot be guessed byte by byte
+function sameKey(a, b) {
+    const left = crypto.createHash('sha256').update(a).digest();
+    const right = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(left, right);
+}
+
+// Role ids of a discord.js GuildMember or of the raw API member of an interaction
+function memberRoles(member) {
+    if (!member) return [];
+    if (member.roles?.cache) return [...member.roles.cache.keys()];
+    return Array.isArray(member.roles) ? member.roles : [];
+}
+
+// Maps Discord roles, Discord users and web API keys to capabilities from
+// config.permissions and keeps a record of denied attempts.
+class Permissions {
+    constructor(filePath, config) {
+        this.store = new JsonStore(filePath, { denied: [] });
+        this.config = config;
+        this.saveTimer = null;
+    }
+
+    get settings() {
+        return this.config.permissions;
+    }
+
+    forDiscord(userId, member) {
+        const { users, roles, everyone } = this.settings;
+        const roleIds = memberRoles(member);
+        const granted = [...everyone];
+        for (const entry of users) {
+            if (entry.id === userId) granted.push(...entry.capabilities);
+        }
+        for (const entry of roles) {
+            if (roleIds.includes(entry.id)) granted.push(...entry.capabilities);
+        }
+        return expand(granted);
+    }
+
+    // Key from "Authorization: Bearer <key>" or "X-API-Key: <key>". queryKey
+    // also accepts ?key=, only meant for EventSource which cannot set headers.
+    // Returns null when a key was sent that does not match any configured one.
+    forRequest(req, { queryKey = false } = {}) {
+        const header = req.get('authorization') || '';
+        const bearer = header.match(/^Bearer\s+(.+)$/i);
+        let key = bearer ? bearer[1].trim() : req.get('x-api-key');
+        if (!key && queryKey && typeof req.query?.key === 'string') {
+            key = req.query.key;
+        }
+
+        if (!key) {
+            return { name: 'anonymous', capabilities: expand(this.settings.anonymous) };
+        }
+
+        const entry = this.settings.apiKeys.find(candidate => sameKey(candidate.key, key));
+        if (!entry) return null;
+        return { name: entry.name, capabilities: expand(entry.capabilities) };
+    }
+
+    // who: "discord:<tag> (<id>)" or "web:<key name>@<ip>"
+    recordDenied(source, who, action, capability) {
+        const entry = { time: Date.now(), source, who, action, capability };
+        log.warn(`🚫 ${who} was denied ${action} (needs ${capability})`);
+
+        const denied = this.store.data.denied;
+        denied.push(entry);
+        if (denied.length > this.settings.deniedHistory) {
+            denied.splice(0, denied.length - this.settings.deniedHistory);
+        }
+        this.scheduleSave();
+        return entry;
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+        this.saveTimer.unref();
+    }
+
+    // Write pending denied attempts now, used on shutdown
+    flush() {
+        if (!this.saveTimer) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            this.store.save();
+        } catch (error) {
+            log.error('Failed to save denied attempts:', error.message);
+        }
+    }
+
+    denied(limit = 20) {
+        return this.store.data.denied.slice(-limit).reverse();
+    }
+}
+
+module.exports = {
+    Permissions,
+    CAPABILITIES
+};
@@ -0,0 +1,119 @@
+const EventEmitter = require('events');
+const JsonStore = require('./jsonStore');
+
+function round(position) {
+    return { x: Math.round(position.x), y: Math.round(position.y), z: Math.round(position.z) };
+}
+
+// Watches players entering and leaving render distance of every connected
+// account and emits 'player' (session, { kind, name, distance, position }).
+// Friends on the whitelist, from config.radar.whitelist or added with /radar,
+// and our own accounts are ignored.
+class PlayerRadar extends EventEmitter {
+    constructor(filePath, { config, sessions }) {
+        super();
+        this.store = new JsonStore(filePath, { whitelist: [] });
+        this.config = config;
+        this.sessions = sessions;
+        this.lastNotified = new Map();
+    }
+
+    get settings() {
+        return this.config.radar;
+    }
+
+    get whitelist() {
+        return [...new Set([...this.settings.whitelist, ...this.store.data.whitelist].map(name => name.toLowerCase()))];
+    }
+
+    addToWhitelist(name) {
+        if (this.whitelist.includes(name.toLowerCase())) return false;
+        this.store.data.whitelist.push(name);
+        this.store.save();
+        return true;
+    }
+
+    removeFromWhitelist(name) {
+        const before = this.store.data.whitelist.length;
+        this.store.data.whitelist = this.store.data.whitelist.filter(entry => entry.toLowerCase() !== name.toLowerCase());
+        if (this.store.data.whitelist.length === before) return false;
+        this.store.save();
+        return true;
+    }
+
+    isIgnored(name) {
+        const lower = name.toLowerCase();
+        if (this.whitelist.includes(lower)) return true;
+        return [...this.sessions.values()].some(session => session.minecraftBot?.username?.toLowerCase() === lower);
+    }
+
+    attach(session) {
+        session.on('login', () => this.watch(session));
+    }
+
+    watch(session) {
+        const bot = session.minecraftBot;
+        if (!bot) return;
+        const isActive = () => session.minecraftBot === bot && session.isConnected;
+
+        bot.on('entitySpawn', (entity) => {
+            if (!isActive() || entity.type !== 'player' || entity === bot.entity) return;
+            this.notify(session, bot, 'enter', entity);
+        });
+
+        bot.on('entityGone', (entity) => {
+            if (!isActive() || entity.type !== 'player' || entity === bot.entity) return;
+            this.notify(session, bot, 'leave', entity);
+        });
+    }
+
+    notify(session, bot, kind, entity) {
+        const name = entity.username;
+        if (!this.settings.enabled || !name || this.isIgnored(name)) return;
+
+        // Players hovering at the edge of render distance would flood the channel
+        const key = `${session.id}:${name}:${kind}`;
+        const now = Date.now();
+        if (now - (this.lastNotified.get(key) || 0) < this.settings.cooldown) return;
+        this.lastNotified.set(key, now);
+
+        const distance = bot.entity ? entity.position.distanceTo(bot.entity.position) : null;
+        session.log.info(`📡 ${name} ${kind === 'enter' ? 'entered' : 'left'} render distance${distance !== null ? ` (${Math.round(distance)}m)` : ''}`);
+        this.emit('player', session, {
+            kind,
+            name,
+            distance: distance === null ? null : Math.round(distance * 10) / 10,
+            position: round(entity.position),
+            time: now
+        });
+    }
+
+    // Players and hostile mobs currently loaded around the bot, closest first
+    scan(session) {
+        const bot = session.minecraftBot;
+        if (!bot?.entity) return null;
+
+        const origin = bot.entity.position;
+        const describe = (entity) => ({
+            name: entity.username || entity.displayName || entity.name,
+            distance: Math.round(entity.position.distanceTo(origin) * 10) / 10,
+            position: round(entity.position)
+        });
+        const byDistance = (a, b) => a.distance - b.distance;
+
+        const entities = Object.values(bot.entities).filter(entity => entity !== bot.entity);
+        return {
+            players: entities
+                .filter(entity => entity.type === 'player' && entity.username)
+                .map(entity => ({ ...describe(entity), whitelisted: this.isIgnored(entity.username) }))
+                .sort(byDistance),
+            hostiles: entities
+                .filter(entity => entity.type === 'hostile')
+                .map(describe)
+                .filter(entity => entity.distance <= this.settings.mobRange)
+                .sort(byDistance)
+        };
+    }
+}
+
+module.exports = PlayerRadar;
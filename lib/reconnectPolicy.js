@@ -0,0 +1,57 @@
+const { normalizeReason } = require('./sessionHistory');
+
+// Decides what to do after a disconnect. Reasons are matched against
+// config.reconnect.classes in order; the first match picks the backoff, and
+// fatal classes stop reconnecting altogether. Unmatched reasons use the
+// top-level delay/maxDelay/multiplier.
+class ReconnectPolicy {
+    constructor(config) {
+        this.config = config;
+        this.patternCache = new Map();
+    }
+
+    get settings() {
+        return this.config.reconnect;
+    }
+
+    compile(patterns) {
+        const key = patterns.join('\u0000');
+        if (!this.patternCache.has(key)) {
+            this.patternCache.set(key, patterns.map(pattern => new RegExp(pattern, 'i')));
+        }
+        return this.patternCache.get(key);
+    }
+
+    get defaultClass() {
+        const { delay, maxDelay, multiplier } = this.settings;
+        return { name: 'default', fatal: false, baseDelay: delay, maxDelay, multiplier };
+    }
+
+    // type is the event that ended the connection: end, kicked or error
+    classify(type, reason) {
+        const text = normalizeReason(reason);
+        const match = this.settings.classes.find(entry => this.compile(entry.patterns).some(regex => regex.test(text)));
+        const base = this.defaultClass;
+
+        return {
+            ...base,
+            ...(match || {}),
+            baseDelay: match?.baseDelay ?? base.baseDelay,
+            maxDelay: match?.maxDelay ?? base.maxDelay,
+            multiplier: match?.multiplier ?? base.multiplier,
+            type,
+            reason: text
+        };
+    }
+
+    // Exponential backoff capped at maxDelay, spread by ±jitter so several
+    // accounts kicked together do not all rejoin at the same moment
+    getDelay(reconnectClass, attempt) {
+        const { baseDelay, maxDelay, multiplier } = reconnectClass;
+        const delay = Math.min(maxDelay, baseDelay * multiplier ** Math.max(0, attempt - 1));
+        const jitter = delay * this.settings.jitter * (Math.random() * 2 - 1);
+        return Math.max(1000, Math.round(delay + jitter));
+    }
+}
+
+module.exports = ReconnectPolicy;
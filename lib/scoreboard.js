@@ -0,0 +1,53 @@
+// "Money: $1.2K", "Kills » 12" or "Shards 1,234"
+const KEY_VALUE = [
+    /^[^\p{L}\p{N}]*(\p{L}[\p{L}\p{N} ]*?)\s*[:»|]\s*(.+)$/u,
+    /^[^\p{L}\p{N}]*(\p{L}[\p{L} ]*?)\s+([$\d].*)$/u
+];
+
+// Team prefixes and suffixes make up most sidebar text; spacer lines come back empty
+function toText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/§./g, '').replace(/\s+/g, ' ').trim();
+}
+
+function toKey(label) {
+    return label.trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+// mineflayer keeps the sidebar under its position name in newer versions
+function getSidebar(bot) {
+    return bot?.scoreboard?.sidebar || bot?.scoreboard?.[1] || null;
+}
+
+// Sidebar lines top to bottom without colour codes, plus the "key: value"
+// lines as an object with lower-cased keys ("money", "shards", "kills"...)
+function readSidebar(bot) {
+    const sidebar = getSidebar(bot);
+    if (!sidebar) return null;
+
+    const lines = [...sidebar.items]
+        .sort((a, b) => b.value - a.value)
+        .map(item => toText(item.displayName ?? item.name))
+        .filter(Boolean);
+
+    const values = {};
+    for (const line of lines) {
+        for (const pattern of KEY_VALUE) {
+            const match = line.match(pattern);
+            if (match) {
+                values[toKey(match[1])] = match[2].trim();
+                break;
+            }
+        }
+    }
+
+    return {
+        title: toText(sidebar.title) || null,
+        lines,
+        values
+    };
+}
+
+module.exports = {
+    readSidebar
+};
@@ -0,0 +1,99 @@
+const { ping } = require('minecraft-protocol');
+const minecraftData = require('minecraft-data');
+const { normalizeReason } = require('./sessionHistory');
+const { createLogger } = require('./logger');
+
+const log = createLogger('ping');
+
+// Status pings against the configured server, shared by every account.
+// Results are cached for a few seconds so several accounts connecting at
+// once only ping once.
+class ServerStatus {
+    constructor(config) {
+        this.config = config;
+        this.last = null;
+        this.inFlight = null;
+        this.timer = null;
+        this.warnedMismatch = null;
+    }
+
+    get settings() {
+        return this.config.serverPing;
+    }
+
+    get expectedProtocol() {
+        return minecraftData(this.config.minecraft.version)?.version?.version ?? null;
+    }
+
+    start(onResult) {
+        if (this.timer || !this.settings.enabled) return;
+        const run = () => this.check({ maxAge: 0 }).then(onResult).catch(() => {});
+        this.timer = setInterval(run, this.settings.interval);
+        run();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Resolve with the latest status, pinging again when it is older than maxAge
+    async check({ maxAge = 10000 } = {}) {
+        if (this.last && Date.now() - this.last.checkedAt <= maxAge) return this.last;
+        if (!this.inFlight) {
+            this.inFlight = this.ping().finally(() => { this.inFlight = null; });
+        }
+        return this.inFlight;
+    }
+
+    async ping() {
+        const { host, port, version } = this.config.minecraft;
+        const started = Date.now();
+
+        try {
+            const response = await ping({ host, port, version, closeTimeout: this.settings.timeout });
+            const expectedProtocol = this.expectedProtocol;
+            const protocol = response.version?.protocol ?? null;
+
+            this.last = {
+                online: true,
+                host,
+                port,
+                motd: normalizeReason(response.description),
+                players: {
+                    online: response.players?.online ?? 0,
+                    max: response.players?.max ?? 0,
+                    sample: (response.players?.sample || []).map(player => player.name)
+                },
+                version: { name: response.version?.name || 'Unknown', protocol },
+                configuredVersion: version,
+                expectedProtocol,
+                versionMismatch: protocol !== null && expectedProtocol !== null && protocol !== expectedProtocol,
+                latency: response.latency ?? Date.now() - started,
+                checkedAt: Date.now(),
+                error: null
+            };
+
+            if (this.last.versionMismatch && this.warnedMismatch !== protocol) {
+                log.warn(`⚠️  Server reports ${this.last.version.name} (protocol ${protocol}) but version ${version} (protocol ${expectedProtocol}) is configured`);
+            }
+            this.warnedMismatch = this.last.versionMismatch ? protocol : null;
+        } catch (error) {
+            log.debug(`Ping to ${host}:${port} failed:`, error.message);
+            this.last = {
+                online: false,
+                host,
+                port,
+                configuredVersion: version,
+                checkedAt: Date.now(),
+                error: error.message || String(error)
+            };
+        }
+
+        return this.last;
+    }
+}
+
+module.exports = ServerStatus;
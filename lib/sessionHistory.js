@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+
+const HEARTBEAT_INTERVAL = 5 * 60 * 1000;
+
+// Flatten a chat component (object or JSON string) to plain text
+function reasonToText(reason) {
+    if (reason === undefined || reason === null) return 'Unknown';
+    if (typeof reason === 'string') {
+        try {
+            return reasonToText(JSON.parse(reason));
+        } catch {
+            return reason;
+        }
+    }
+    if (typeof reason !== 'object') return String(reason);
+
+    const text = [reason.text, reason.translate, ...(reason.extra || []).map(reasonToText)]
+        .filter(part => typeof part === 'string' && part !== '')
+        .join('');
+    return text || JSON.stringify(reason);
+}
+
+function normalizeReason(reason) {
+    return reasonToText(reason).replace(/§./g, '').replace(/\s+/g, ' ').trim().substring(0, 200) || 'Unknown';
+}
+
+// Every Minecraft session per account: login, end, end reason, world and the
+// reconnect attempts it took. Open sessions get a heartbeat so a crash still
+// leaves a usable end time behind.
+class SessionHistory {
+    constructor(filePath, config) {
+        this.store = new JsonStore(filePath, { sessions: [], kicks: [] });
+        this.config = config;
+        this.open = new Map();
+        this.heartbeatTimer = null;
+        this.closeAbandoned();
+    }
+
+    get sessions() {
+        return this.store.data.sessions;
+    }
+
+    // Sessions left open by a previous run end at their last heartbeat
+    closeAbandoned() {
+        let changed = false;
+        for (const record of this.sessions) {
+            if (record.endAt === null) {
+                record.endAt = record.lastSeenAt;
+                record.endType = 'shutdown';
+                record.reason = 'Bot process stopped';
+                changed = true;
+            }
+        }
+        if (changed) this.store.save();
+    }
+
+    start() {
+        if (this.heartbeatTimer) return;
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL);
+    }
+
+    // Close everything that is still open, used on graceful shutdown
+    stop() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+        for (const accountId of [...this.open.keys()]) {
+            this.end(accountId, { type: 'shutdown', reason: 'Bot shut down' });
+        }
+    }
+
+    heartbeat() {
+        if (this.open.size === 0) return;
+        const now = Date.now();
+        for (const record of this.open.values()) {
+            record.lastSeenAt = now;
+        }
+        this.store.save();
+    }
+
+    attach(session) {
+        session.on('login', (info = {}) => this.begin(session, info.reconnectAttempts || 0));
+        session.on('update', () => {
+            const record = this.open.get(session.id);
+            if (record && session.currentWorld !== 'Unknown') record.world = session.currentWorld;
+        });
+        session.on('disconnected', (event) => {
+            if (event.connected) {
+                this.end(session.id, event);
+            } else {
+                this.recordKick(session.id, event);
+            }
+        });
+    }
+
+    begin(session, reconnectAttempts) {
+        // A login without a disconnect event in between means we missed the end
+        if (this.open.has(session.id)) {
+            this.end(session.id, { type: 'end', reason: 'Replaced by a new login' });
+        }
+
+        const now = Date.now();
+        const record = {
+            id: crypto.randomBytes(4).toString('hex'),
+            account: session.id,
+            username: session.minecraftBot?.username || null,
+            loginAt: now,
+            lastSeenAt: now,
+            endAt: null,
+            endType: null,
+            reason: null,
+            world: session.currentWorld,
+            reconnectAttempts
+        };
+
+        this.sessions.push(record);
+        this.open.set(session.id, record);
+        this.prune();
+        this.store.save();
+    }
+
+    end(accountId, { type, reason, world, time = Date.now() }) {
+        const record = this.open.get(accountId);
+        if (!record) return;
+
+        this.open.delete(accountId);
+        record.endAt = time;
+        record.lastSeenAt = time;
+        record.endType = type;
+        record.reason = normalizeReason(reason);
+        if (world && world !== 'Unknown') record.world = world;
+        this.store.save();
+    }
+
+    // Kicks before the login finished, e.g. "already online" or bans
+    recordKick(accountId, { reason, time = Date.now() }) {
+        this.store.data.kicks.push({ account: accountId, time, reason: normalizeReason(reason) });
+        this.prune();
+        this.store.save();
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.config.sessions.retention;
+        this.store.data.sessions = this.sessions.filter(record => record.endAt === null || record.endAt >= cutoff);
+        this.store.data.kicks = this.store.data.kicks.filter(kick => kick.time >= cutoff);
+    }
+
+    list({ account, limit = 20 } = {}) {
+        return this.sessions
+            .filter(record => !account || record.account === account)
+            .slice(-limit)
+            .reverse()
+            .map(record => ({ ...record, duration: (record.endAt ?? Date.now()) - record.loginAt }));
+    }
+
+    // Online time within [now - windowMs, now]
+    onlineTime(accountId, windowMs, now = Date.now()) {
+        const from = now - windowMs;
+        return this.sessions
+            .filter(record => record.account === accountId)
+            .reduce((total, record) => {
+                const start = Math.max(record.loginAt, from);
+                const end = Math.min(record.endAt ?? now, now);
+                return total + Math.max(0, end - start);
+            }, 0);
+    }
+
+    stats(accountId, windows, now = Date.now()) {
+        const online = {};
+        for (const [name, windowMs] of Object.entries(windows)) {
+            const time = this.onlineTime(accountId, windowMs, now);
+            online[name] = { onlineMs: time, percentage: Math.round((time / windowMs) * 1000) / 10 };
+        }
+
+        const records = this.sessions.filter(record => record.account === accountId);
+        const longest = records.reduce((best, record) => {
+            const duration = (record.endAt ?? now) - record.loginAt;
+            return !best || duration > best.duration ? { ...record, duration } : best;
+        }, null);
+
+        // Kicks after login and while logging in both count
+        const counts = new Map();
+        const kickReasons = [
+            ...records.filter(record => record.endType === 'kicked').map(record => record.reason),
+            ...this.store.data.kicks.filter(kick => kick.account === accountId).map(kick => kick.reason)
+        ];
+        for (const reason of kickReasons) {
+            counts.set(reason, (counts.get(reason) || 0) + 1);
+        }
+
+        const current = this.open.get(accountId);
+        return {
+            account: accountId,
+            online,
+            current: current ? { ...current, duration: now - current.loginAt } : null,
+            sessionCount: records.length,
+            reconnects: records.reduce((total, record) => total + record.reconnectAttempts, 0),
+            longestSession: longest,
+            topKickReasons: [...counts.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 5)
+                .map(([reason, count]) => ({ reason, count }))
+        };
+    }
+}
+
+module.exports = {
+    SessionHistory,
+    normalizeReason
+};
@@ -0,0 +1,180 @@
+const JsonStore = require('./jsonStore');
+const { captureResponse } = require('./commandCapture');
+const { parseAmount } = require('./auctionHouse');
+const { createLogger } = require('./logger');
+
+const log = createLogger('shards');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const TICK_INTERVAL = 30000;
+
+// Returns the balance in a /shards reply, or null when the line is something else
+function parseShards(text, patterns) {
+    for (const pattern of patterns) {
+        const match = text.match(pattern);
+        if (match) {
+            const value = parseInt(match[1].replace(/,/g, ''), 10);
+            if (Number.isFinite(value)) return value;
+        }
+    }
+    return null;
+}
+
+// Polls /shards on every connected account and keeps a timestamped balance
+// history per account. Settings come from config.shards on every use.
+class ShardTracker {
+    constructor(filePath, { config, sessions }) {
+        this.store = new JsonStore(filePath, { samples: {} });
+        this.config = config;
+        this.sessions = sessions;
+        this.pending = new Map();
+        this.lastPoll = new Map();
+        this.timer = null;
+        this.patternCache = { key: null, patterns: [] };
+    }
+
+    get settings() {
+        return this.config.shards;
+    }
+
+    get patterns() {
+        const key = this.settings.patterns.join('\u0000');
+        if (this.patternCache.key !== key) {
+            this.patternCache = { key, patterns: this.settings.patterns.map(pattern => new RegExp(pattern, 'i')) };
+        }
+        return this.patternCache.patterns;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        for (const { controller } of this.pending.values()) {
+            controller.abort();
+        }
+    }
+
+    attach(session) {
+        session.on('scoreboard', (scoreboard) => this.handleScoreboard(session, scoreboard));
+        // Give the on-join script time to finish before the first poll
+        session.on('login', () => this.lastPoll.set(session.id, Date.now() - this.settings.pollInterval + this.settings.initialDelay));
+    }
+
+    tick() {
+        if (!this.settings.enabled) return;
+
+        const now = Date.now();
+        for (const session of this.sessions.values()) {
+            if (!session.isConnected || this.pending.has(session.id)) continue;
+            if (now - (this.lastPoll.get(session.id) || 0) < this.settings.pollInterval) continue;
+            // Sidebar values cost nothing, /shards is only sent when there are none
+            if (session.lastScoreboard && this.handleScoreboard(session, session.lastScoreboard)) continue;
+
+            this.request(session).catch(error => log.warn(`[${session.id}] Scheduled /shards poll failed:`, error.message));
+        }
+    }
+
+    // A shard count on the sidebar is recorded when it changes (and at least
+    // once per poll interval) and makes the /shards chat poll unnecessary.
+    // Returns false when the sidebar has no shard count.
+    handleScoreboard(session, scoreboard) {
+        const key = this.config.scoreboard.shardsKey;
+        if (!this.settings.enabled || !key || scoreboard.values[key] === undefined) return false;
+
+        const amount = parseAmount(scoreboard.values[key]);
+        if (amount === null) return false;
+
+        const now = Date.now();
+        const balance = Math.round(amount);
+        this.lastPoll.set(session.id, now);
+        const latest = (this.store.data.samples[session.id] || []).at(-1);
+        if (latest && latest.balance === balance && now - latest.time < this.settings.pollInterval) return true;
+
+        this.record(session.id, balance, now);
+        return true;
+    }
+
+    // Send /shards and resolve with the recorded sample, or null on timeout.
+    // Concurrent callers for the same account share one request.
+    request(session) {
+        const existing = this.pending.get(session.id);
+        if (existing) return existing.promise;
+
+        const controller = new AbortController();
+        const patterns = this.patterns;
+        this.lastPoll.set(session.id, Date.now());
+        log.debug(`[${session.id}] Requesting shard balance`);
+
+        const promise = captureResponse(session, '/shards', {
+            match: text => parseShards(text, patterns) !== null,
+            timeout: this.settings.responseTimeout,
+            signal: controller.signal
+        })
+            .then(response => response ? this.record(session.id, parseShards(response.lines[0], patterns)) : null)
+            // stop() cancels outstanding requests, which then count as unanswered
+            .catch(error => {
+                if (controller.signal.aborted) return null;
+                throw error;
+            })
+            .finally(() => this.pending.delete(session.id));
+
+        this.pending.set(session.id, { promise, controller });
+        return promise;
+    }
+
+    record(accountId, balance, time = Date.now()) {
+        const samples = this.store.data.samples[accountId] || (this.store.data.samples[accountId] = []);
+        const sample = { time, balance };
+        samples.push(sample);
+        if (samples.length > this.settings.maxSamples) {
+            samples.splice(0, samples.length - this.settings.maxSamples);
+        }
+        this.store.save();
+        log.info(`💎 [${accountId}] Balance: ${balance}`);
+        return sample;
+    }
+
+    history(accountId, since = 0) {
+        return (this.store.data.samples[accountId] || []).filter(sample => sample.time >= since);
+    }
+
+    // Earnings over a window. Only increases count so spending shards
+    // does not make AFK income look negative.
+    stats(accountId, windowMs = DAY, now = Date.now()) {
+        const samples = this.history(accountId, now - windowMs);
+        const latest = (this.store.data.samples[accountId] || []).at(-1) || null;
+
+        let earned = 0;
+        for (let i = 1; i < samples.length; i++) {
+            earned += Math.max(0, samples[i].balance - samples[i - 1].balance);
+        }
+
+        const elapsed = samples.length > 1 ? samples.at(-1).time - samples[0].time : 0;
+        const perHour = elapsed > 0 ? (earned / elapsed) * HOUR : null;
+
+        return {
+            account: accountId,
+            balance: latest?.balance ?? null,
+            updatedAt: latest?.time ?? null,
+            windowMs,
+            samples: samples.length,
+            earned,
+            perHour,
+            perDay: perHour === null ? null : perHour * 24
+        };
+    }
+}
+
+module.exports = {
+    ShardTracker,
+    parseShards,
+    HOUR,
+    DAY
+};
@@ -0,0 +1,198 @@
+const EventEmitter = require('events');
+const { Vec3 } = require('vec3');
+const JsonStore = require('./jsonStore');
+
+const CONTAINER_BLOCKS = /^(?:chest|trapped_chest|barrel|(?:\w+_)?shulker_box)$/;
+const TOOLS = /_(?:sword|pickaxe|axe|shovel|hoe)$|^(?:bow|crossbow|trident|mace|shears|fishing_rod|flint_and_steel|shield|totem_of_undying)$/;
+
+function isContainerBlock(block) {
+    return !!block && CONTAINER_BLOCKS.test(block.name);
+}
+
+// Moves loot into configured chests or barrels when an account's inventory
+// fills up. Containers and filters are stored per account; emits
+// 'deposit' (session, result) and 'full' (session, { reason }).
+class AutoDeposit extends EventEmitter {
+    constructor(filePath, { config, sessions }) {
+        super();
+        this.store = new JsonStore(filePath, {});
+        this.config = config;
+        this.sessions = sessions;
+        this.timer = null;
+        this.busy = new Set();
+        this.lastFullAlert = new Map();
+    }
+
+    get settings() {
+        return this.config.storage;
+    }
+
+    getAccount(accountId) {
+        return this.store.data[accountId] || { auto: true, containers: [], filter: [] };
+    }
+
+    updateAccount(accountId, changes) {
+        this.store.data[accountId] = { ...this.getAccount(accountId), ...changes };
+        this.store.save();
+        return this.store.data[accountId];
+    }
+
+    addContainer(session, position) {
+        const bot = session.minecraftBot;
+        if (bot) {
+            const block = bot.blockAt(new Vec3(position.x, position.y, position.z));
+            if (block && !isContainerBlock(block)) {
+                throw new Error(`The block at ${position.x} ${position.y} ${position.z} is ${block.name}, not a chest or barrel`);
+            }
+        }
+
+        const containers = this.getAccount(session.id).containers;
+        if (containers.some(entry => entry.x === position.x && entry.y === position.y && entry.z === position.z)) {
+            throw new Error('That container is already configured');
+        }
+        this.updateAccount(session.id, { containers: [...containers, position] });
+        return position;
+    }
+
+    removeContainer(session, index) {
+        const containers = [...this.getAccount(session.id).containers];
+        if (index < 1 || index > containers.length) {
+            throw new Error(`Container ${index} does not exist (${containers.length} configured)`);
+        }
+        const [removed] = containers.splice(index - 1, 1);
+        this.updateAccount(session.id, { containers });
+        return removed;
+    }
+
+    // The container block the bot is looking at, for "/storage add" without coordinates
+    targetedContainer(session) {
+        const block = session.minecraftBot?.blockAtCursor(this.settings.maxDistance);
+        if (!isContainerBlock(block)) return null;
+        return { x: block.position.x, y: block.position.y, z: block.position.z };
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.settings.checkInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    tick() {
+        if (!this.settings.enabled) return;
+
+        for (const session of this.sessions.values()) {
+            const bot = session.minecraftBot;
+            if (!session.isConnected || !bot?.inventory || this.busy.has(session.id)) continue;
+            if (!this.getAccount(session.id).auto) continue;
+            if (bot.inventory.emptySlotCount() > this.settings.fullThreshold) continue;
+
+            this.deposit(session).catch(error => session.log.warn('📦 Auto-deposit failed:', error.message));
+        }
+    }
+
+    // Food and tools stay; with a filter only matching items are stored
+    shouldDeposit(bot, item, filter) {
+        const keep = this.settings.keep;
+        if (keep.includes('food') && bot.registry.foodsByName[item.name]) return false;
+        if (keep.includes('tools') && TOOLS.test(item.name)) return false;
+        if (keep.includes('hotbar') && item.slot >= 36 && item.slot <= 44) return false;
+        if (filter.length === 0) return true;
+        return filter.some(entry => item.name === entry || item.name.includes(entry));
+    }
+
+    async deposit(session, { manual = false } = {}) {
+        const bot = session.minecraftBot;
+        if (!session.isConnected || !bot) {
+            throw new Error(`Account ${session.id} is not connected`);
+        }
+        if (this.busy.has(session.id)) {
+            throw new Error('A deposit is already running');
+        }
+
+        const { containers, filter } = this.getAccount(session.id);
+        if (containers.length === 0) {
+            const reason = 'No storage configured, add a chest or barrel with /storage add';
+            if (manual) throw new Error(reason);
+            this.alertFull(session, reason);
+            return null;
+        }
+
+        this.busy.add(session.id);
+        const stored = {};
+        const problems = [];
+        try {
+            for (const position of containers) {
+                const pending = bot.inventory.items().filter(item => this.shouldDeposit(bot, item, filter));
+                if (pending.length === 0) break;
+
+                const block = bot.blockAt(new Vec3(position.x, position.y, position.z));
+                const where = `${position.x} ${position.y} ${position.z}`;
+                if (!isContainerBlock(block)) {
+                    problems.push(`${where}: ${block ? `found ${block.name}` : 'not loaded'}`);
+                    continue;
+                }
+                if (bot.entity.position.distanceTo(block.position.offset(0.5, 0.5, 0.5)) > this.settings.maxDistance) {
+                    problems.push(`${where}: out of reach`);
+                    continue;
+                }
+
+                await session.runExclusive(async () => {
+                    const container = await bot.openContainer(block);
+                    try {
+                        for (const item of pending) {
+                            try {
+                                await container.deposit(item.type, item.metadata, item.count, item.nbt);
+                                stored[item.name] = (stored[item.name] || 0) + item.count;
+                            } catch (error) {
+                                // Container is full, move on to the next one
+                                problems.push(`${where}: ${error.message}`);
+                                break;
+                            }
+                        }
+                    } finally {
+                        container.close();
+                    }
+                });
+            }
+        } finally {
+            this.busy.delete(session.id);
+        }
+
+        const result = {
+            stored,
+            total: Object.values(stored).reduce((sum, count) => sum + count, 0),
+            problems,
+            freeSlots: bot.inventory.emptySlotCount()
+        };
+
+        if (result.total > 0) {
+            session.log.info(`📦 Stored ${result.total} item(s) in ${containers.length} container(s)`);
+            if (!manual) this.emit('deposit', session, result);
+        }
+        // Manual runs report problems in the command reply instead
+        if (!manual && result.freeSlots <= this.settings.fullThreshold) {
+            this.alertFull(session, problems.length > 0 ? `Storage is full or unreachable (${problems.join('; ')})` : 'Nothing left that may be stored');
+        }
+        return result;
+    }
+
+    alertFull(session, reason) {
+        const now = Date.now();
+        if (now - (this.lastFullAlert.get(session.id) || 0) < this.settings.alertCooldown) return;
+
+        this.lastFullAlert.set(session.id, now);
+        session.log.warn(`📦 Inventory full: ${reason}`);
+        this.emit('full', session, { reason });
+    }
+}
+
+module.exports = {
+    AutoDeposit,
+    isContainerBlock
+};
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Authflow, Titles } = require('prismarine-auth');
+const { createLogger } = require('./logger');
+
+const log = createLogger('auth');
+
+const ENCRYPTION_VERSION = 1;
+
+// Same flow minecraft-protocol uses, so bots and background refreshes share cache entries
+const AUTH_OPTIONS = {
+    flow: 'live',
+    authTitle: Titles.MinecraftNintendoSwitch,
+    deviceType: 'Nintendo'
+};
+
+function cacheFileName(username, cacheName) {
+    const hash = crypto.createHash('sha1').update(username, 'binary').digest('hex').substring(0, 6);
+    return `${hash}_${cacheName}-cache.json`;
+}
+
+// prismarine-auth cache backed by one file, optionally AES-256-GCM encrypted.
+// Implements the same interface as prismarine-auth's own FileCache.
+class ProfileCache {
+    constructor(filePath, passphrase) {
+        this.filePath = filePath;
+        this.passphrase = passphrase;
+        this.cache = null;
+    }
+
+    encrypt(value) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = crypto.scryptSync(this.passphrase, salt, 32);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+        return {
+            encrypted: ENCRYPTION_VERSION,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(stored) {
+        const key = crypto.scryptSync(this.passphrase, Buffer.from(stored.salt, 'base64'), 32);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    }
+
+    read() {
+        let stored;
+        try {
+            stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error(`⚠️  Unreadable token cache ${path.basename(this.filePath)}:`, error.message);
+            }
+            return {};
+        }
+
+        if (!stored.encrypted) {
+            // Plain caches are accepted and get encrypted on the next write
+            return stored;
+        }
+        if (!this.passphrase) {
+            log.error(`⚠️  ${path.basename(this.filePath)} is encrypted but MC_TOKEN_PASSPHRASE is not set`);
+            return {};
+        }
+
+        try {
+            return this.decrypt(stored);
+        } catch (error) {
+            log.error(`⚠️  Could not decrypt ${path.basename(this.filePath)}, wrong passphrase?`);
+            return {};
+        }
+    }
+
+    write() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const contents = this.passphrase ? this.encrypt(this.cache) : this.cache;
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(contents), { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    async reset() {
+        this.cache = {};
+        this.write();
+    }
+
+    async getCached() {
+        if (this.cache === null) {
+            this.cache = this.read();
+        }
+        return this.cache;
+    }
+
+    async setCached(value) {
+        this.cache = value;
+        this.write();
+    }
+
+    async setCachedPartial(value) {
+        await this.getCached();
+        this.cache = { ...this.cache, ...value };
+        this.write();
+    }
+}
+
+// Microsoft/Minecraft token cache shared by every account. Tokens survive restarts
+// as long as profilesDir lives on persistent storage (e.g. a Render disk).
+class TokenStore {
+    constructor({ profilesDir, passphrase }) {
+        this.profilesDir = profilesDir;
+        this.passphrase = passphrase || null;
+        this.refreshing = new Map();
+        this.readMemo = new Map();
+
+        // Passed to prismarine-auth in place of a folder path
+        this.cacheFactory = ({ username, cacheName }) =>
+            new ProfileCache(path.join(this.profilesDir, cacheFileName(username, cacheName)), this.passphrase);
+    }
+
+    get encrypted() {
+        return !!this.passphrase;
+    }
+
+    // Decrypting is slow (scrypt), so reads are memoized until the file changes
+    readCache(username, cacheName) {
+        const filePath = path.join(this.profilesDir, cacheFileName(username, cacheName));
+        let mtimeMs;
+        try {
+            mtimeMs = fs.statSync(filePath).mtimeMs;
+        } catch (error) {
+            return {};
+        }
+
+        const memo = this.readMemo.get(filePath);
+        if (memo && memo.mtimeMs === mtimeMs) {
+            return memo.value;
+        }
+
+        const value = new ProfileCache(filePath, this.passphrase).read();
+        this.readMemo.set(filePath, { mtimeMs, value });
+        return value;
+    }
+
+    // Expiry of the cached Minecraft access token and whether a refresh token exists
+    getTokenInfo(username) {
+        const minecraft = this.readCache(username, 'mca').mca;
+        const live = this.readCache(username, 'live').token;
+        const msal = this.readCache(username, 'msal');
+
+        const expiresAt = minecraft?.obtainedOn && minecraft?.expires_in
+            ? minecraft.obtainedOn + minecraft.expires_in * 1000
+            : null;
+
+        return {
+            hasToken: !!minecraft?.access_token,
+            expiresAt,
+            remainingMs: expiresAt ? expiresAt - Date.now() : 0,
+            hasRefreshToken: !!live?.refresh_token || Object.keys(msal?.RefreshToken || {}).length > 0
+        };
+    }
+
+    // Refresh the Minecraft token without user interaction. Rejects instead of
+    // starting a device-code login when the refresh token no longer works.
+    async refresh(username) {
+        if (this.refreshing.has(username)) {
+            return this.refreshing.get(username);
+        }
+
+        const refresh = (async () => {
+            // Drop the Minecraft token so prismarine-auth fetches a new one via the refresh chain,
+            // but put it back if that fails so a still-valid token is not thrown away
+            const minecraftCache = this.cacheFactory({ username, cacheName: 'mca' });
+            const previous = await minecraftCache.getCached();
+            await minecraftCache.reset();
+
+            const authflow = new Authflow(username, this.cacheFactory, AUTH_OPTIONS, () => {
+                throw new Error('Refresh token rejected, interactive sign-in required');
+            });
+
+            try {
+                await authflow.getMinecraftJavaToken({ fetchProfile: false });
+            } catch (error) {
+                await minecraftCache.setCached(previous);
+                throw error;
+            }
+            return this.getTokenInfo(username);
+        })();
+
+        this.refreshing.set(username, refresh);
+        try {
+            return await refresh;
+        } finally {
+            this.refreshing.delete(username);
+        }
+    }
+
+    clear(username) {
+        for (const cacheName of ['mca', 'live', 'msal', 'xbl', 'bed']) {
+            fs.rmSync(path.join(this.profilesDir, cacheFileName(username, cacheName)), { force: true });
+        }
+    }
+}
+
+function formatDuration(ms) {
+    if (ms <= 0) return 'expired';
+    const minutes = Math.floor(ms / 60000);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+    if (days > 0) return `${days}d ${hours % 24}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+}
+
+module.exports = {
+    AUTH_OPTIONS,
+    TokenStore,
+    formatDuration
+};
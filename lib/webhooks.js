@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const { createLogger } = require('./logger');
+
+const log = createLogger('webhooks');
+
+const EVENTS = ['kicked', 'reconnectStopped', 'authRequired', 'playerNearby', 'lowHealth', 'death'];
+
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Throws when the URL is not http(s), which fetch would only report on delivery
+function checkUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error(`"${url}" is not a valid URL`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('Webhook URLs must use http or https');
+    }
+    return parsed.toString();
+}
+
+// "kicked, lowHealth" or ["*"] -> list of known event names
+function parseEvents(events) {
+    const names = (Array.isArray(events) ? events : String(events || '*').split(','))
+        .map(name => name.trim())
+        .filter(Boolean);
+    if (names.length === 0 || names.includes('*')) return ['*'];
+
+    const unknown = names.filter(name => !EVENTS.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown event(s) ${unknown.join(', ')}. Available: ${EVENTS.join(', ')}`);
+    }
+    return [...new Set(names)];
+}
+
+// Secrets are only shown when a webhook is created
+function describeHook(hook) {
+    const { secret, ...rest } = hook;
+    return { ...rest, secret: `${secret.substring(0, 4)}…` };
+}
+
+// POSTs JSON event payloads to registered URLs. Every request carries
+// X-Webhook-Signature, an HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>" with
+// the webhook's secret. Failed deliveries are retried with exponential backoff
+// and every delivery is kept in a capped log.
+class Webhooks {
+    constructor(filePath, config) {
+        this.store = new JsonStore(filePath, { hooks: [], deliveries: [] });
+        this.config = config;
+        this.retryTimers = new Set();
+
+        // Retries do not survive a restart
+        let interrupted = false;
+        for (const delivery of this.store.data.deliveries) {
+            if (delivery.status === 'pending') {
+                delivery.status = 'failed';
+                delivery.error = 'Interrupted by a restart';
+                delivery.nextAttemptAt = null;
+                interrupted = true;
+            }
+        }
+        if (interrupted) this.store.save();
+    }
+
+    get settings() {
+        return this.config.webhooks;
+    }
+
+    list() {
+        return this.store.data.hooks.map(describeHook);
+    }
+
+    get(id) {
+        const hook = this.store.data.hooks.find(candidate => candidate.id === id);
+        if (!hook) {
+            throw new Error(`Webhook ${id} does not exist`);
+        }
+        return hook;
+    }
+
+    // Returns the new webhook including its secret
+    add({ url, events, secret = null, createdBy = null }) {
+        if (secret !== null && (typeof secret !== 'string' || secret.length < 16)) {
+            throw new Error('Secrets must be at least 16 characters long');
+        }
+
+        const hook = {
+            id: crypto.randomBytes(4).toString('hex'),
+            url: checkUrl(url),
+            events: parseEvents(events),
+            secret: secret || crypto.randomBytes(24).toString('hex'),
+            enabled: true,
+            createdAt: Date.now(),
+            createdBy
+        };
+        this.store.data.hooks.push(hook);
+        this.store.save();
+        log.info(`🪝 Added webhook ${hook.id} for ${hook.events.join(', ')}`);
+        return hook;
+    }
+
+    update(id, { url, events, enabled }) {
+        const hook = this.get(id);
+        if (url !== undefined) hook.url = checkUrl(url);
+        if (events !== undefined) hook.events = parseEvents(events);
+        if (enabled !== undefined) hook.enabled = !!enabled;
+        this.store.save();
+        return describeHook(hook);
+    }
+
+    remove(id) {
+        const hook = this.get(id);
+        this.store.data.hooks = this.store.data.hooks.filter(candidate => candidate !== hook);
+        this.store.save();
+        log.info(`🪝 Removed webhook ${id}`);
+        return describeHook(hook);
+    }
+
+    deliveries({ hookId = null, limit = 20 } = {}) {
+        return this.store.data.deliveries
+            .filter(delivery => !hookId || delivery.hookId === hookId)
+            .slice(-limit)
+            .reverse();
+    }
+
+    // Send an event to every enabled webhook subscribed to it
+    notify(event, account, data = {}) {
+        if (!this.settings.enabled) return;
+        for (const hook of this.store.data.hooks) {
+            if (!hook.enabled || (!hook.events.includes('*') && !hook.events.includes(event))) continue;
+            this.dispatch(hook, event, account, data)
+                .catch(error => log.error(`🪝 Delivery to ${hook.id} failed:`, error.message));
+        }
+    }
+
+    // Resolves with the delivery after the first attempt
+    test(id) {
+        return this.dispatch(this.get(id), 'test', null, { message: 'Test delivery' });
+    }
+
+    async dispatch(hook, event, account, data) {
+        const delivery = {
+            id: crypto.randomUUID(),
+            hookId: hook.id,
+            event,
+            account,
+            time: Date.now(),
+            status: 'pending',
+            attempts: 0,
+            responseStatus: null,
+            error: null,
+            lastAttemptAt: null,
+            nextAttemptAt: null
+        };
+        const body = JSON.stringify({ id: delivery.id, event, account, time: delivery.time, data });
+
+        const deliveries = this.store.data.deliveries;
+        deliveries.push(delivery);
+        if (deliveries.length > this.settings.deliveryHistory) {
+            deliveries.splice(0, deliveries.length - this.settings.deliveryHistory);
+        }
+
+        await this.attempt(hook, delivery, body);
+        return delivery;
+    }
+
+    async attempt(hook, delivery, body) {
+        delivery.attempts++;
+        delivery.lastAttemptAt = Date.now();
+        delivery.nextAttemptAt = null;
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        let retry = true;
+        try {
+            const response = await fetch(hook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'minecraft-discord-bot-webhooks',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': sign(hook.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.settings.timeout)
+            });
+            delivery.responseStatus = response.status;
+            if (response.ok) {
+                delivery.status = 'delivered';
+                delivery.error = null;
+                this.store.save();
+                log.debug(`🪝 ${delivery.event} delivered to ${hook.id} (HTTP ${response.status})`);
+                return;
+            }
+            delivery.error = `HTTP ${response.status}`;
+            // Other client errors will not go away by sending the same request again
+            retry = response.status === 408 || response.status === 429 || response.status >= 500;
+        } catch (error) {
+            delivery.error = error.name === 'TimeoutError' ? `No response within ${this.settings.timeout / 1000}s` : error.message;
+        }
+
+        const hookStillExists = this.store.data.hooks.includes(hook) && hook.enabled;
+        if (retry && hookStillExists && delivery.attempts < this.settings.maxAttempts) {
+            const delay = Math.min(this.settings.retryDelay * 2 ** (delivery.attempts - 1), this.settings.maxRetryDelay);
+            delivery.nextAttemptAt = Date.now() + delay;
+            const timer = setTimeout(() => {
+                this.retryTimers.delete(timer);
+                this.attempt(hook, delivery, body).catch(error => log.error(`🪝 Retry for ${hook.id} failed:`, error.message));
+            }, delay);
+            this.retryTimers.add(timer);
+            log.warn(`🪝 ${delivery.event} to ${hook.id} failed (${delivery.error}), retry ${delivery.attempts}/${this.settings.maxAttempts - 1} in ${Math.ceil(delay / 1000)}s`);
+        } else {
+            delivery.status = 'failed';
+            log.warn(`🪝 ${delivery.event} to ${hook.id} failed after ${delivery.attempts} attempt(s): ${delivery.error}`);
+        }
+        this.store.save();
+    }
+
+    stop() {
+        for (const timer of this.retryTimers) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
+    }
+}
+
+module.exports = {
+    Webhooks,
+    EVENTS
+};
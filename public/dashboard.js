@@ -0,0 +1,339 @@
+// Dashboard for the bot's web API. Live data comes from the GET /events
+// Server-Sent Events stream; controls use the POST routes. The API key, when
+// the server needs one, is kept in localStorage.
+(() => {
+    'use strict';
+
+    const API = new URL('..', window.location.href);
+    const KEY_STORAGE = 'minecraftBotApiKey';
+    const CHAT_LIMIT = 500;
+    const NOTICE_LIMIT = 100;
+
+    const elements = {
+        connection: document.getElementById('connection'),
+        changeKey: document.getElementById('change-key'),
+        keyForm: document.getElementById('key-form'),
+        keyMessage: document.getElementById('key-message'),
+        keyInput: document.getElementById('key-input'),
+        accounts: document.getElementById('accounts'),
+        template: document.getElementById('account-template'),
+        chat: document.getElementById('chat'),
+        chatFilter: document.getElementById('chat-filter'),
+        chatForm: document.getElementById('chat-form'),
+        chatAccount: document.getElementById('chat-account'),
+        chatInput: document.getElementById('chat-input'),
+        notices: document.getElementById('notices')
+    };
+
+    const state = {
+        key: window.localStorage.getItem(KEY_STORAGE) || '',
+        capabilities: new Set(),
+        cards: new Map(),
+        source: null
+    };
+
+    function apiUrl(path) {
+        return new URL(path.replace(/^\//, ''), API);
+    }
+
+    function request(path, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (state.key) headers.Authorization = `Bearer ${state.key}`;
+        return fetch(apiUrl(path), { ...options, headers: { ...headers, ...options.headers } });
+    }
+
+    function formatTime(time) {
+        return new Date(time).toLocaleTimeString();
+    }
+
+    function formatRelative(time) {
+        const seconds = Math.round((time - Date.now()) / 1000);
+        if (Math.abs(seconds) < 60) return seconds >= 0 ? `in ${seconds}s` : `${-seconds}s ago`;
+        const minutes = Math.round(seconds / 60);
+        return minutes >= 0 ? `in ${minutes}m` : `${-minutes}m ago`;
+    }
+
+    function setConnection(text, kind) {
+        elements.connection.textContent = text;
+        elements.connection.className = `pill ${kind}`;
+    }
+
+    function showKeyForm(message) {
+        elements.keyMessage.textContent = message;
+        elements.keyForm.hidden = false;
+        elements.keyInput.focus();
+    }
+
+    // Account cards
+
+    function getCard(accountId) {
+        let card = state.cards.get(accountId);
+        if (card) return card;
+
+        const fragment = elements.template.content.cloneNode(true);
+        const root = fragment.querySelector('.account');
+        const find = (selector) => root.querySelector(selector);
+        card = {
+            root,
+            id: find('.account-id'),
+            state: find('.state'),
+            username: find('.username'),
+            world: find('.world'),
+            coords: find('.coords'),
+            health: find('.health'),
+            healthText: find('.health-text'),
+            food: find('.food'),
+            foodText: find('.food-text'),
+            reconnect: find('.reconnect'),
+            lastDisconnect: find('.last-disconnect'),
+            auth: find('.auth'),
+            authUrl: find('.auth-url'),
+            authCode: find('.auth-code'),
+            authExpiry: find('.auth-expiry'),
+            scoreboard: find('.scoreboard'),
+            scoreboardTitle: find('.scoreboard-title'),
+            scoreboardValues: find('.scoreboard-values'),
+            connect: find('.connect'),
+            disconnect: find('.disconnect')
+        };
+        card.id.textContent = accountId;
+        card.connect.addEventListener('click', () => control(accountId, 'connect'));
+        card.disconnect.addEventListener('click', () => control(accountId, 'disconnect'));
+
+        elements.accounts.appendChild(root);
+        state.cards.set(accountId, card);
+
+        for (const select of [elements.chatFilter, elements.chatAccount]) {
+            const option = document.createElement('option');
+            option.value = accountId;
+            option.textContent = accountId;
+            select.appendChild(option);
+        }
+        return card;
+    }
+
+    function renderStatus(status) {
+        const card = getCard(status.account);
+
+        if (status.connected) {
+            card.state.textContent = 'Online';
+            card.state.className = 'pill state online';
+        } else if (status.shouldJoin) {
+            card.state.textContent = status.reconnectAttempts > 0 ? 'Reconnecting' : 'Connecting';
+            card.state.className = 'pill state connecting';
+        } else {
+            card.state.textContent = 'Offline';
+            card.state.className = 'pill state offline';
+        }
+
+        const coords = status.coordinates;
+        card.username.textContent = status.username || '—';
+        card.world.textContent = status.connected ? status.world : '—';
+        card.coords.textContent = status.connected && coords
+            ? `${Math.round(coords.x)}, ${Math.round(coords.y)}, ${Math.round(coords.z)}`
+            : '—';
+
+        card.health.value = status.health ?? 0;
+        card.healthText.textContent = status.health === null ? '—' : `${Math.round(status.health)}/20`;
+        card.food.value = status.food ?? 0;
+        card.foodText.textContent = status.food === null ? '—' : `${status.food}/20`;
+
+        if (status.reconnectStopped) {
+            card.reconnect.textContent = `Stopped (${status.reconnectStopped})`;
+        } else if (status.reconnectAttempts > 0 && status.shouldJoin) {
+            const next = status.nextReconnectAt ? `, next try ${formatRelative(status.nextReconnectAt)}` : '';
+            card.reconnect.textContent = `Attempt ${status.reconnectAttempts}/${status.maxReconnectAttempts}${next}`;
+        } else {
+            card.reconnect.textContent = '—';
+        }
+
+        const last = status.lastDisconnect;
+        card.lastDisconnect.textContent = last
+            ? `${last.class} (${last.type}) ${formatRelative(last.time)}: ${last.reason || 'no reason'}`
+            : '—';
+
+        card.auth.hidden = !status.auth;
+        if (status.auth) {
+            card.authUrl.href = status.auth.url;
+            card.authUrl.textContent = status.auth.url;
+            card.authCode.textContent = status.auth.code;
+            card.authExpiry.textContent = status.auth.expiresAt ? `(expires ${formatRelative(status.auth.expiresAt)})` : '';
+        }
+
+        const scoreboard = status.connected ? status.scoreboard : null;
+        card.scoreboard.hidden = !scoreboard;
+        if (scoreboard) {
+            card.scoreboardTitle.textContent = scoreboard.title || 'Scoreboard';
+            card.scoreboardValues.replaceChildren(...Object.entries(scoreboard.values).flatMap(([key, value]) => {
+                const term = document.createElement('dt');
+                term.textContent = key.replace(/_/g, ' ');
+                const detail = document.createElement('dd');
+                detail.textContent = value;
+                return [term, detail];
+            }));
+        }
+
+        const canConnect = state.capabilities.has('connect');
+        card.connect.hidden = !canConnect;
+        card.disconnect.hidden = !canConnect;
+        card.connect.disabled = status.connected || status.shouldJoin;
+        card.disconnect.disabled = !status.connected && !status.shouldJoin;
+    }
+
+    // Chat and notices
+
+    function appendLimited(list, item, limit) {
+        const stick = list.scrollTop + list.clientHeight >= list.scrollHeight - 5;
+        list.appendChild(item);
+        while (list.children.length > limit) {
+            list.removeChild(list.firstChild);
+        }
+        if (stick) list.scrollTop = list.scrollHeight;
+    }
+
+    function renderChat(entry) {
+        const item = document.createElement('li');
+        item.dataset.account = entry.account;
+        item.hidden = !!elements.chatFilter.value && elements.chatFilter.value !== entry.account;
+
+        const time = document.createElement('span');
+        time.className = 'time';
+        time.textContent = formatTime(entry.time);
+        const source = document.createElement('span');
+        source.className = 'source';
+        source.textContent = `[${entry.account}]`;
+        item.append(time, source, entry.text);
+
+        appendLimited(elements.chat, item, CHAT_LIMIT);
+    }
+
+    function renderNotice(notice) {
+        const item = document.createElement('li');
+        item.className = notice.level;
+        const time = document.createElement('span');
+        time.className = 'time';
+        time.textContent = formatTime(notice.time);
+        item.append(time, notice.account ? `[${notice.account}] ${notice.message}` : notice.message);
+        appendLimited(elements.notices, item, NOTICE_LIMIT);
+    }
+
+    function localNotice(level, message) {
+        renderNotice({ level, message, time: Date.now() });
+    }
+
+    // Controls
+
+    async function control(accountId, action) {
+        try {
+            const response = await request(`/accounts/${encodeURIComponent(accountId)}/${action}`, { method: 'POST' });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok || body.success === false) {
+                localNotice('error', `${action} failed: ${body.message || response.statusText}`);
+            }
+        } catch (error) {
+            localNotice('error', `${action} failed: ${error.message}`);
+        }
+    }
+
+    elements.chatForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const message = elements.chatInput.value.trim();
+        const accountId = elements.chatAccount.value;
+        if (!message || !accountId) return;
+
+        try {
+            const response = await request(`/accounts/${encodeURIComponent(accountId)}/chat`, {
+                method: 'POST',
+                body: JSON.stringify({ message })
+            });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok || body.success === false) {
+                localNotice('error', `Message not sent: ${body.message || response.statusText}`);
+                return;
+            }
+            elements.chatInput.value = '';
+        } catch (error) {
+            localNotice('error', `Message not sent: ${error.message}`);
+        }
+    });
+
+    elements.chatFilter.addEventListener('change', () => {
+        for (const item of elements.chat.children) {
+            item.hidden = !!elements.chatFilter.value && elements.chatFilter.value !== item.dataset.account;
+        }
+        elements.chat.scrollTop = elements.chat.scrollHeight;
+    });
+
+    elements.changeKey.addEventListener('click', () => showKeyForm('Enter an API key, or leave it empty to use the API without one.'));
+
+    elements.keyForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        state.key = elements.keyInput.value.trim();
+        if (state.key) {
+            window.localStorage.setItem(KEY_STORAGE, state.key);
+        } else {
+            window.localStorage.removeItem(KEY_STORAGE);
+        }
+        elements.keyInput.value = '';
+        elements.keyForm.hidden = true;
+        connect();
+    });
+
+    // Event stream
+
+    function applyCapabilities(capabilities) {
+        state.capabilities = new Set(capabilities);
+        elements.chatForm.hidden = !state.capabilities.has('chat');
+    }
+
+    async function connect() {
+        if (state.source) {
+            state.source.close();
+            state.source = null;
+        }
+
+        // EventSource hides the status code, so check the key first
+        let access;
+        try {
+            const response = await request('/permissions');
+            if (response.status === 401) {
+                setConnection('Invalid key', 'offline');
+                showKeyForm('The API key was not accepted.');
+                return;
+            }
+            access = await response.json();
+        } catch (error) {
+            setConnection('Unreachable', 'offline');
+            window.setTimeout(connect, 5000);
+            return;
+        }
+
+        if (!access.capabilities.includes('view')) {
+            setConnection('No access', 'offline');
+            showKeyForm('Viewing the dashboard needs an API key with the view capability.');
+            return;
+        }
+        applyCapabilities(access.capabilities);
+
+        const url = apiUrl('/events');
+        if (state.key) url.searchParams.set('key', state.key);
+        const source = new EventSource(url);
+        state.source = source;
+
+        source.addEventListener('open', () => setConnection(`Live as ${access.name}`, 'online'));
+        source.addEventListener('error', () => setConnection('Reconnecting…', 'connecting'));
+
+        source.addEventListener('snapshot', (event) => {
+            const snapshot = JSON.parse(event.data);
+            elements.chat.replaceChildren();
+            applyCapabilities(snapshot.capabilities);
+            snapshot.accounts.forEach(renderStatus);
+            snapshot.chat.forEach(renderChat);
+        });
+        source.addEventListener('status', (event) => renderStatus(JSON.parse(event.data)));
+        source.addEventListener('chat', (event) => renderChat(JSON.parse(event.data)));
+        source.addEventListener('notice', (event) => renderNotice(JSON.parse(event.data)));
+    }
+
+    connect();
+})();
@@ -0,0 +1,67 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AlertRules, describeTarget } = require('../lib/alerts');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+let fileCount = 0;
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function createRules() {
+    return new AlertRules(path.join(tempDir, `alerts-${++fileCount}.json`));
+}
+
+function addRule(rules, overrides) {
+    return rules.add({ targetType: 'user', targetId: '1', cooldown: 0, createdBy: 'test', ...overrides });
+}
+
+test('plain keywords match whole words only, case-insensitively', () => {
+    const rules = createRules();
+    addRule(rules, { pattern: 'raid' });
+
+    assert.equal(rules.evaluate('main', 'Steve', 'RAID at spawn').length, 1);
+    assert.equal(rules.evaluate('main', 'Steve', 'the raiders are here').length, 0);
+});
+
+test('{ign} is replaced with the escaped name of the account', () => {
+    const rules = createRules();
+    addRule(rules, { pattern: '{ign} was slain' });
+    addRule(rules, { pattern: '^\\[.*\\] {ign}:', isRegex: true });
+
+    assert.equal(rules.evaluate('main', 'Steve', 'Steve was slain by Zombie').length, 1);
+    assert.equal(rules.evaluate('main', 'Alex', 'Steve was slain by Zombie').length, 0);
+    assert.equal(rules.evaluate('main', 'S.eve', 'Steve was slain').length, 0);
+    assert.equal(rules.evaluate('main', 'Steve', '[VIP] Steve: hello').length, 1);
+});
+
+test('cooldowns are kept per rule and per account', () => {
+    const rules = createRules();
+    addRule(rules, { pattern: 'help', cooldown: 60000 });
+
+    const now = Date.now();
+    assert.equal(rules.evaluate('main', 'Steve', 'help', now).length, 1);
+    assert.equal(rules.evaluate('main', 'Steve', 'help', now + 30000).length, 0);
+    assert.equal(rules.evaluate('alt', 'Alex', 'help', now + 30000).length, 1);
+    assert.equal(rules.evaluate('main', 'Steve', 'help', now + 60000).length, 1);
+});
+
+test('account-specific rules ignore other accounts', () => {
+    const rules = createRules();
+    addRule(rules, { pattern: 'hello', account: 'alt' });
+
+    assert.equal(rules.evaluate('main', 'Steve', 'hello').length, 0);
+    assert.equal(rules.evaluate('alt', 'Alex', 'hello').length, 1);
+});
+
+test('invalid regular expressions are rejected and rules can be removed', () => {
+    const rules = createRules();
+
+    assert.throws(() => addRule(rules, { pattern: '(', isRegex: true }), /Invalid regular expression/);
+    const rule = addRule(rules, { pattern: 'hi', targetType: 'role', targetId: '42' });
+    assert.equal(describeTarget(rule), '<@&42>');
+    assert.equal(rules.remove(rule.id).id, rule.id);
+    assert.equal(rules.remove(rule.id), null);
+});
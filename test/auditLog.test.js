@@ -0,0 +1,42 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../lib/auditLog');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('record appends one JSON line per action and trims long arguments', () => {
+    const filePath = path.join(tempDir, 'nested', 'audit.log');
+    const auditLog = new AuditLog(filePath);
+
+    auditLog.record({ source: 'slash', actor: 'steve', actorId: '1', action: '/connect', account: 'main' });
+    auditLog.record({ source: 'relay', actor: 'alex', actorId: '2', action: 'chat relay', args: { text: 'x'.repeat(500), empty: null } });
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines.length, 2);
+    assert.equal(lines[0].outcome, 'ok');
+    assert.equal(lines[1].args.text.length, 300);
+    assert.equal('empty' in lines[1].args, false);
+});
+
+test('list returns the newest entries first and filters by name or Discord id', () => {
+    const filePath = path.join(tempDir, 'list.log');
+    const auditLog = new AuditLog(filePath);
+    for (const [actor, actorId] of [['Steve', '1'], ['alex', '2'], ['Steve', '1']]) {
+        auditLog.record({ source: 'slash', actor, actorId, action: '/status' });
+    }
+    fs.appendFileSync(filePath, 'not json\n');
+
+    assert.deepEqual(auditLog.list().map(entry => entry.actor), ['Steve', 'alex', 'Steve']);
+    assert.equal(auditLog.list({ limit: 1 }).length, 1);
+    assert.equal(auditLog.list({ actor: 'steve' }).length, 2);
+    assert.equal(auditLog.list({ actor: '2' })[0].actor, 'alex');
+});
+
+test('list is empty before anything was recorded', () => {
+    assert.deepEqual(new AuditLog(path.join(tempDir, 'missing.log')).list(), []);
+});
@@ -0,0 +1,130 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChatRelay = require('../lib/chatRelay');
+const { Permissions } = require('../lib/permissions');
+const { DEFAULTS } = require('../lib/config');
+const { logManager } = require('../lib/logger');
+
+// Denied attempts and relayed lines are logged
+logManager.configure({ level: 'error' });
+
+const CHANNEL_ID = '10';
+const SPEAK_ROLE_ID = '20';
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-'));
+let fileCount = 0;
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function createRelay(overrides = {}) {
+    const config = {
+        chatRelay: { ...structuredClone(DEFAULTS.chatRelay), enabled: true, channelId: CHANNEL_ID, ...overrides },
+        permissions: {
+            ...structuredClone(DEFAULTS.permissions),
+            users: [{ id: '1', capabilities: ['chat'] }, { id: '2', capabilities: ['chat'] }]
+        }
+    };
+    const session = { id: 'main', isConnected: true, sent: [], chat(text) { this.sent.push(text); } };
+    const audit = [];
+    const relay = new ChatRelay({
+        config,
+        discordClient: null,
+        sessions: new Map([['main', session]]),
+        permissions: new Permissions(path.join(tempDir, `access-${++fileCount}.json`), config),
+        auditLog: { record: (entry) => audit.push(entry) }
+    });
+    return { relay, session, audit };
+}
+
+function createMessage(content, { userId = '1', displayName = 'Steve', roles = [] } = {}) {
+    const message = {
+        channelId: CHANNEL_ID,
+        content,
+        webhookId: null,
+        author: { id: userId, tag: `${displayName}#0001`, username: displayName, bot: false },
+        member: { displayName, roles: { cache: new Map(roles.map(id => [id, {}])) } },
+        reactions: [],
+        react: async (emoji) => { message.reactions.push(emoji); }
+    };
+    return message;
+}
+
+test('messages are formatted, sent as the relay account and audited', async () => {
+    const { relay, session, audit } = createRelay();
+
+    await relay.handleDiscordMessage(createMessage('  hello \n there  '));
+    assert.deepEqual(session.sent, ['Steve: hello there']);
+    assert.equal(audit[0].action, 'chat relay');
+    assert.equal(audit[0].account, 'main');
+    assert.equal(audit[0].args.text, 'Steve: hello there');
+});
+
+test('messages starting with / are rejected before and after formatting', async () => {
+    const { relay, session } = createRelay();
+
+    const command = createMessage('/pay Steve 1000');
+    await relay.handleDiscordMessage(command);
+    const sneaky = createMessage('100000', { displayName: '/pay me' });
+    await relay.handleDiscordMessage(sneaky);
+
+    assert.deepEqual(session.sent, []);
+    assert.deepEqual(command.reactions, ['🚫']);
+    assert.deepEqual(sneaky.reactions, ['🚫']);
+});
+
+test('replacement patterns in names and messages stay literal', async () => {
+    const { relay, session } = createRelay();
+
+    await relay.handleDiscordMessage(createMessage('costs $& or $`', { displayName: 'A$\'B' }));
+    assert.deepEqual(session.sent, ['A$\'B: costs $& or $`']);
+});
+
+test('speaking needs the chat capability and the speak role', async () => {
+    const { relay, session, audit } = createRelay({ speakRoleId: SPEAK_ROLE_ID });
+
+    const noCapability = createMessage('hi', { userId: '3', roles: [SPEAK_ROLE_ID] });
+    await relay.handleDiscordMessage(noCapability);
+    const noRole = createMessage('hi', { userId: '1' });
+    await relay.handleDiscordMessage(noRole);
+    await relay.handleDiscordMessage(createMessage('hi', { userId: '1', roles: [SPEAK_ROLE_ID] }));
+
+    assert.deepEqual(noCapability.reactions, ['🔇']);
+    assert.deepEqual(noRole.reactions, ['🔇']);
+    assert.deepEqual(session.sent, ['Steve: hi']);
+    assert.equal(audit.filter(entry => entry.outcome === 'denied').length, 2);
+    assert.equal(relay.permissions.denied().length, 2);
+    relay.permissions.flush();
+});
+
+test('each user is rate limited on their own', async () => {
+    const { relay, session } = createRelay({ rateLimit: { count: 2, interval: 60000 } });
+
+    const messages = ['one', 'two', 'three'].map(text => createMessage(text));
+    for (const message of messages) {
+        await relay.handleDiscordMessage(message);
+    }
+    await relay.handleDiscordMessage(createMessage('other', { userId: '2', displayName: 'Alex' }));
+
+    assert.deepEqual(session.sent, ['Steve: one', 'Steve: two', 'Alex: other']);
+    assert.deepEqual(messages[2].reactions, ['🐢']);
+});
+
+test('other channels, bots and a disconnected account are ignored', async () => {
+    const { relay, session } = createRelay();
+
+    const elsewhere = createMessage('hi');
+    elsewhere.channelId = '99';
+    const fromBot = createMessage('hi');
+    fromBot.author.bot = true;
+    await relay.handleDiscordMessage(elsewhere);
+    await relay.handleDiscordMessage(fromBot);
+
+    session.isConnected = false;
+    const offline = createMessage('hi');
+    await relay.handleDiscordMessage(offline);
+
+    assert.deepEqual(session.sent, []);
+    assert.deepEqual(offline.reactions, ['🔌']);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { captureResponse, expandCommand } = require('../lib/commandCapture');
+
+// Session stand-in that answers every command with the given chat lines
+function createSession(replies = []) {
+    const session = new EventEmitter();
+    session.id = 'main';
+    session.sent = [];
+    session.chat = (command) => {
+        session.sent.push(command);
+        setImmediate(() => {
+            for (const text of replies) {
+                session.emit('chat', { text });
+            }
+        });
+    };
+    return session;
+}
+
+test('resolves with the first matching line and its match groups', async () => {
+    const session = createSession(['Welcome back!', 'Your balance is $1,250', 'Other chat']);
+
+    const result = await captureResponse(session, '/bal', { match: /balance is \$([\d,]+)/ });
+    assert.deepEqual(session.sent, ['/bal']);
+    assert.deepEqual(result.lines, ['Your balance is $1,250']);
+    assert.equal(result.match[1], '1,250');
+    assert.equal(result.complete, true);
+    assert.equal(session.listenerCount('chat'), 0);
+});
+
+test('collects following lines until the end pattern', async () => {
+    const session = createSession(['--- Top ---', '1. Steve', '2. Alex', '--- End ---', 'after']);
+
+    const result = await captureResponse(session, '/baltop', { match: 'Top', lines: 10, until: /End/ });
+    assert.deepEqual(result.lines, ['--- Top ---', '1. Steve', '2. Alex', '--- End ---']);
+    assert.equal(result.complete, true);
+});
+
+test('a quiet chat ends a multi-line response early and marks it incomplete', async () => {
+    const session = createSession(['--- Top ---', '1. Steve']);
+
+    const result = await captureResponse(session, '/baltop', { match: 'Top', lines: 10, until: /End/, idleTimeout: 20 });
+    assert.deepEqual(result.lines, ['--- Top ---', '1. Steve']);
+    assert.equal(result.complete, false);
+});
+
+test('resolves with null when nothing matches in time', async () => {
+    const session = createSession(['Unknown command']);
+
+    assert.equal(await captureResponse(session, '/bal', { match: /balance/, timeout: 30 }), null);
+});
+
+test('rejects without a match option, on disconnect and when aborted', async () => {
+    const session = createSession();
+
+    await assert.rejects(captureResponse(session, '/bal', {}), /needs a match option/);
+
+    const pending = captureResponse(session, '/bal', { match: /balance/ });
+    session.emit('disconnected', { type: 'end' });
+    await assert.rejects(pending, /main disconnected before \/bal was answered/);
+
+    const controller = new AbortController();
+    const aborted = captureResponse(session, '/bal', { match: /balance/, signal: controller.signal });
+    controller.abort(new Error('Stopped'));
+    await assert.rejects(aborted, /Stopped/);
+    assert.equal(session.listenerCount('chat'), 0);
+});
+
+test('expandCommand fills placeholders and drops unused ones', () => {
+    assert.equal(expandCommand('/bal {player}', { player: 'Steve' }), '/bal Steve');
+    assert.equal(expandCommand('/bal {player} {page}'), '/bal');
+});
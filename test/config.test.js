@@ -0,0 +1,119 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigManager, ConfigError } = require('../lib/config');
+const { logManager } = require('../lib/logger');
+
+// Reloads log what changed
+logManager.configure({ level: 'error' });
+
+const ENV_NAMES = ['DISCORD_BOT_TOKEN', 'DISCORD_CHANNEL_ID', 'MC_PORT', 'MC_ACCOUNTS', 'MC_TPA_TARGET'];
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+const configPath = path.join(tempDir, 'config.json');
+
+function writeConfig(config) {
+    fs.writeFileSync(configPath, JSON.stringify(config));
+}
+
+beforeEach(() => {
+    for (const name of ENV_NAMES) {
+        delete process.env[name];
+    }
+    process.env.DISCORD_BOT_TOKEN = 'token';
+});
+
+after(() => {
+    for (const name of ENV_NAMES) {
+        delete process.env[name];
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('the file is merged over the defaults', () => {
+    writeConfig({ discord: { channelId: '123' }, minecraft: { port: 25566 } });
+
+    const config = new ConfigManager(configPath).load();
+    assert.equal(config.discord.channelId, '123');
+    assert.equal(config.minecraft.port, 25566);
+    assert.equal(config.minecraft.host, 'donutsmp.net');
+    assert.equal(config.spawn.tpaTarget, null);
+    assert.deepEqual(config.permissions.everyone, ['view']);
+    assert.deepEqual(config.permissions.anonymous, []);
+});
+
+test('environment variables win over the file', () => {
+    writeConfig({ discord: { channelId: '123' }, minecraft: { port: 25566 } });
+    process.env.MC_PORT = '25567';
+    process.env.MC_ACCOUNTS = 'main, alt1';
+
+    const config = new ConfigManager(configPath).load();
+    assert.equal(config.minecraft.port, 25567);
+    assert.deepEqual(config.accounts, [{ id: 'main', username: 'main' }, { id: 'alt1', username: 'alt1' }]);
+});
+
+test('validation lists every problem', () => {
+    writeConfig({
+        discord: { channelId: 'general' },
+        minecraft: { port: 70000, auth: 'mojang' },
+        accounts: [{ id: 'main' }, { id: 'main' }],
+        permissions: { everyone: ['view', 'fly'] }
+    });
+
+    assert.throws(() => new ConfigManager(configPath).load(), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems, [
+            'discord.channelId has an invalid format (got "general")',
+            'minecraft.port must be at most 65535 (got 70000)',
+            'minecraft.auth must be one of microsoft, offline (got "mojang")',
+            'accounts contains duplicate id "main"',
+            'permissions.everyone[1] must be one of view, connect, chat, admin (got "fly")'
+        ]);
+        return true;
+    });
+});
+
+test('reload applies live sections and holds back connection settings', () => {
+    writeConfig({ discord: { channelId: '123' }, spawn: { delay: 5000 } });
+    const manager = new ConfigManager(configPath);
+    const config = manager.load();
+
+    let event = null;
+    manager.on('reload', (info) => { event = info; });
+    writeConfig({ discord: { channelId: '123' }, minecraft: { host: 'example.com' }, spawn: { delay: 1000 } });
+    manager.reload();
+
+    assert.equal(config.spawn.delay, 1000);
+    assert.equal(config.minecraft.host, 'donutsmp.net');
+    assert.deepEqual(event.restartRequired, ['minecraft']);
+});
+
+test('an invalid file on reload keeps the previous settings', () => {
+    writeConfig({ discord: { channelId: '123' }, spawn: { delay: 5000 } });
+    const manager = new ConfigManager(configPath);
+    const config = manager.load();
+
+    let reloaded = false;
+    manager.on('reload', () => { reloaded = true; });
+    writeConfig({ discord: { channelId: '123' }, spawn: { delay: -1 } });
+    manager.reload();
+
+    assert.equal(reloaded, false);
+    assert.equal(config.spawn.delay, 5000);
+});
+
+test('turning the chat relay on needs a restart while its other settings reload live', () => {
+    writeConfig({ discord: { channelId: '123' } });
+    const manager = new ConfigManager(configPath);
+    const config = manager.load();
+
+    let event = null;
+    manager.on('reload', (info) => { event = info; });
+    writeConfig({ discord: { channelId: '123' }, chatRelay: { enabled: true, channelId: '456' } });
+    manager.reload();
+
+    assert.equal(config.chatRelay.enabled, false);
+    assert.equal(config.chatRelay.channelId, '456');
+    assert.deepEqual(event.restartRequired, ['chatRelay.enabled']);
+});
@@ -0,0 +1,112 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OnJoinScripts, runScript, validateStep, describeStep } = require('../lib/onJoinScript');
+
+const quietLog = { info() {} };
+const tempDirs = [];
+
+function tempFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onjoin-'));
+    tempDirs.push(dir);
+    return path.join(dir, 'onjoin.json');
+}
+
+after(() => {
+    for (const dir of tempDirs) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('validateStep accepts well-formed steps', () => {
+    assert.doesNotThrow(() => validateStep({ type: 'chat', message: '/home afk' }));
+    assert.doesNotThrow(() => validateStep({ type: 'wait', ms: 5000 }));
+    assert.doesNotThrow(() => validateStep({ type: 'waitForChat', pattern: 'teleported', timeout: 2000 }));
+    assert.doesNotThrow(() => validateStep({ type: 'chat', message: '/spawn', if: { dimension: 'the_nether' } }));
+});
+
+test('validateStep rejects malformed steps', () => {
+    assert.throws(() => validateStep({ type: 'jump' }), /Step type/);
+    assert.throws(() => validateStep({ type: 'chat', message: '  ' }), /need a message/);
+    assert.throws(() => validateStep({ type: 'wait', ms: -1 }), /duration/);
+    assert.throws(() => validateStep({ type: 'waitForChat', pattern: '(' }), /Invalid chat pattern/);
+    assert.throws(() => validateStep({ type: 'chat', message: 'hi', if: 'nether' }), /conditions/);
+});
+
+test('describeStep mentions the condition without the minecraft: prefix', () => {
+    assert.equal(
+        describeStep({ type: 'wait', ms: 100, if: { dimension: 'minecraft:overworld' } }),
+        '⏱️ wait 100ms — only in overworld'
+    );
+});
+
+test('runScript sends chat steps and skips steps whose condition does not match', async () => {
+    const sent = [];
+    const bot = Object.assign(new EventEmitter(), {
+        game: { dimension: 'minecraft:overworld' },
+        chat: (message) => sent.push(message)
+    });
+
+    const finished = await runScript(bot, [
+        { type: 'chat', message: '/home afk' },
+        { type: 'chat', message: '/spawn', if: { dimension: 'the_nether' } },
+        { type: 'wait', ms: 0 },
+        { type: 'chat', message: 'back' }
+    ], { log: quietLog, isActive: () => true });
+
+    assert.equal(finished, true);
+    assert.deepEqual(sent, ['/home afk', 'back']);
+});
+
+test('runScript stops when waitForChat times out or the connection changes', async () => {
+    const sent = [];
+    const bot = Object.assign(new EventEmitter(), { chat: (message) => sent.push(message) });
+
+    const timedOut = await runScript(bot, [
+        { type: 'waitForChat', pattern: 'never', timeout: 10 },
+        { type: 'chat', message: 'unreachable' }
+    ], { log: quietLog, isActive: () => true });
+    assert.equal(timedOut, false);
+
+    const aborted = await runScript(bot, [{ type: 'chat', message: 'unreachable' }], { log: quietLog, isActive: () => false });
+    assert.equal(aborted, false);
+    assert.deepEqual(sent, []);
+});
+
+test('accounts without a script only get /tpa when a target is configured', () => {
+    const config = { spawn: { tpaTarget: null, delay: 5000 } };
+    const scripts = new OnJoinScripts(tempFile(), config);
+
+    assert.deepEqual(scripts.getScript({ id: 'main' }), []);
+    assert.deepEqual(scripts.getScript({ id: 'alt', tpaTarget: 'friend' }), [
+        { type: 'wait', ms: 5000 },
+        { type: 'chat', message: '/tpa friend' }
+    ]);
+
+    config.spawn.tpaTarget = 'doggomc';
+    assert.deepEqual(scripts.getScript({ id: 'alt', tpaTarget: null }), []);
+});
+
+test('saved scripts replace the fallback and survive a reload', () => {
+    const filePath = tempFile();
+    const config = { spawn: { tpaTarget: 'doggomc', delay: 5000 } };
+    const scripts = new OnJoinScripts(filePath, config);
+
+    scripts.addStep({ id: 'main' }, { type: 'chat', message: '/home afk' });
+    assert.deepEqual(scripts.getScript({ id: 'main' }), [
+        { type: 'wait', ms: 5000 },
+        { type: 'chat', message: '/tpa doggomc' },
+        { type: 'chat', message: '/home afk' }
+    ]);
+
+    scripts.removeStep({ id: 'main' }, 2);
+    const reloaded = new OnJoinScripts(filePath, config);
+    assert.deepEqual(reloaded.getScript({ id: 'main' }), [
+        { type: 'wait', ms: 5000 },
+        { type: 'chat', message: '/home afk' }
+    ]);
+    assert.throws(() => reloaded.removeStep({ id: 'main' }, 5), /does not exist/);
+});
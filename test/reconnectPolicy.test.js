@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ReconnectPolicy = require('../lib/reconnectPolicy');
+const { DEFAULTS } = require('../lib/config');
+
+function createPolicy(overrides = {}) {
+    return new ReconnectPolicy({ reconnect: { ...structuredClone(DEFAULTS.reconnect), ...overrides } });
+}
+
+test('classify picks the first class whose pattern matches the reason', () => {
+    const policy = createPolicy();
+
+    const banned = policy.classify('kicked', 'You are banned from this server');
+    assert.equal(banned.name, 'banned');
+    assert.equal(banned.fatal, true);
+    assert.equal(banned.type, 'kicked');
+
+    const online = policy.classify('kicked', 'You are already connected to this proxy!');
+    assert.equal(online.name, 'alreadyOnline');
+    assert.equal(online.fatal, false);
+    assert.equal(online.baseDelay, 60000);
+});
+
+test('classify reads JSON chat components and strips colour codes', () => {
+    const policy = createPolicy();
+    const reason = JSON.stringify({ text: '', extra: [{ text: '§cServer is ' }, { text: 'restarting' }] });
+
+    const result = policy.classify('kicked', reason);
+    assert.equal(result.name, 'restart');
+    assert.equal(result.reason, 'Server is restarting');
+});
+
+test('unmatched reasons use the top-level backoff', () => {
+    const policy = createPolicy({ delay: 15000, maxDelay: 300000, multiplier: 2 });
+
+    const result = policy.classify('end', 'socketClosed');
+    assert.equal(result.name, 'default');
+    assert.equal(result.fatal, false);
+    assert.deepEqual(
+        [result.baseDelay, result.maxDelay, result.multiplier],
+        [15000, 300000, 2]
+    );
+});
+
+test('classes without their own backoff inherit the top-level values', () => {
+    const policy = createPolicy({ classes: [{ name: 'custom', patterns: ['custom'] }] });
+
+    const result = policy.classify('kicked', 'Custom reason');
+    assert.equal(result.name, 'custom');
+    assert.equal(result.baseDelay, DEFAULTS.reconnect.delay);
+    assert.equal(result.multiplier, DEFAULTS.reconnect.multiplier);
+});
+
+test('getDelay grows exponentially and stops at maxDelay', () => {
+    const policy = createPolicy({ jitter: 0 });
+    const reconnectClass = { baseDelay: 10000, maxDelay: 60000, multiplier: 2 };
+
+    assert.deepEqual(
+        [1, 2, 3, 4, 5].map(attempt => policy.getDelay(reconnectClass, attempt)),
+        [10000, 20000, 40000, 60000, 60000]
+    );
+});
+
+test('getDelay stays within the jitter range and never drops below a second', () => {
+    const policy = createPolicy({ jitter: 0.2 });
+
+    for (let i = 0; i < 100; i++) {
+        const delay = policy.getDelay({ baseDelay: 10000, maxDelay: 60000, multiplier: 2 }, 1);
+        assert.ok(delay >= 8000 && delay <= 12000, `${delay} is outside ±20% of 10000`);
+    }
+    assert.equal(policy.getDelay({ baseDelay: 100, maxDelay: 100, multiplier: 1 }, 1), 1000);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readSidebar } = require('../lib/scoreboard');
+
+function botWithSidebar(title, lines) {
+    // Higher scores are shown higher up, like the vanilla sidebar
+    const items = lines.map((displayName, index) => ({ name: `line${index}`, displayName, value: lines.length - index }));
+    return { scoreboard: { sidebar: { title, items } } };
+}
+
+test('readSidebar returns null without a sidebar', () => {
+    assert.equal(readSidebar(null), null);
+    assert.equal(readSidebar({ scoreboard: {} }), null);
+});
+
+test('readSidebar orders lines by score and strips colour codes and spacers', () => {
+    const bot = botWithSidebar('§6§lDONUT SMP', ['§7', '§aMoney: §f$1.2K', '§r', '§bShards §f1,234']);
+    bot.scoreboard.sidebar.items.reverse();
+
+    const sidebar = readSidebar(bot);
+    assert.equal(sidebar.title, 'DONUT SMP');
+    assert.deepEqual(sidebar.lines, ['Money: $1.2K', 'Shards 1,234']);
+});
+
+test('readSidebar parses separated and space-only key/value lines', () => {
+    const sidebar = readSidebar(botWithSidebar('Stats', [
+        '» Money: $1.2K',
+        'Kills » 12',
+        'Shards 1,234',
+        'Play Time | 3d 4h',
+        'donutsmp.net'
+    ]));
+
+    assert.deepEqual(sidebar.values, {
+        money: '$1.2K',
+        kills: '12',
+        shards: '1,234',
+        play_time: '3d 4h'
+    });
+});
+
+test('readSidebar falls back to the numbered display slot', () => {
+    const bot = { scoreboard: { 1: { title: 'Old', items: [{ name: 'Coins: 5', value: 1 }] } } };
+
+    assert.deepEqual(readSidebar(bot).values, { coins: '5' });
+});
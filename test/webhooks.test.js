@@ -0,0 +1,139 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Webhooks } = require('../lib/webhooks');
+const { logManager } = require('../lib/logger');
+
+// Failed deliveries are logged as warnings
+logManager.configure({ level: 'error' });
+
+const SECRET = 'test-secret-0123456789';
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+const received = [];
+let responses = [];
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(responses.shift() || 200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function createWebhooks(overrides = {}) {
+    const config = {
+        webhooks: { enabled: true, timeout: 2000, maxAttempts: 3, retryDelay: 10, maxRetryDelay: 50, deliveryHistory: 50, ...overrides }
+    };
+    return new Webhooks(path.join(tempDir, `${crypto.randomUUID()}.json`), config);
+}
+
+function waitFor(condition) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            if (condition()) return resolve();
+            if (Date.now() - started > 2000) return reject(new Error('Timed out waiting for deliveries'));
+            setTimeout(check, 5);
+        };
+        check();
+    });
+}
+
+test('add validates URLs, events and secrets, and list hides the secret', () => {
+    const webhooks = createWebhooks();
+
+    assert.throws(() => webhooks.add({ url: 'ftp://example.com' }), /http or https/);
+    assert.throws(() => webhooks.add({ url: baseUrl, events: 'kicked, exploded' }), /Unknown event/);
+    assert.throws(() => webhooks.add({ url: baseUrl, secret: 'short' }), /16 characters/);
+
+    const hook = webhooks.add({ url: baseUrl, events: 'kicked, lowHealth, kicked', secret: SECRET });
+    assert.deepEqual(hook.events, ['kicked', 'lowHealth']);
+    assert.equal(webhooks.list()[0].secret, 'test…');
+    assert.deepEqual(webhooks.add({ url: baseUrl }).events, ['*']);
+});
+
+test('deliveries are signed with HMAC-SHA256 over the timestamp and body', async () => {
+    received.length = 0;
+    const webhooks = createWebhooks();
+    const hook = webhooks.add({ url: `${baseUrl}/hook`, secret: SECRET });
+
+    const delivery = await webhooks.test(hook.id);
+    assert.equal(delivery.status, 'delivered');
+
+    const [{ headers, body }] = received;
+    const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-webhook-signature'], expected);
+    assert.equal(headers['x-webhook-event'], 'test');
+    assert.equal(JSON.parse(body).id, headers['x-webhook-delivery']);
+});
+
+test('notify only sends subscribed events to enabled webhooks', async () => {
+    received.length = 0;
+    const webhooks = createWebhooks();
+    webhooks.add({ url: `${baseUrl}/kicked`, events: 'kicked', secret: SECRET });
+    const paused = webhooks.add({ url: `${baseUrl}/paused`, secret: SECRET });
+    webhooks.update(paused.id, { enabled: false });
+
+    webhooks.notify('death', 'main', {});
+    webhooks.notify('kicked', 'main', { reason: 'Server restarting' });
+    await waitFor(() => webhooks.deliveries().some(delivery => delivery.status !== 'pending'));
+
+    assert.equal(received.length, 1);
+    assert.equal(JSON.parse(received[0].body).data.reason, 'Server restarting');
+});
+
+test('server errors are retried until a delivery succeeds', async () => {
+    received.length = 0;
+    responses = [500, 503];
+    const webhooks = createWebhooks();
+    const hook = webhooks.add({ url: baseUrl, secret: SECRET });
+
+    const delivery = await webhooks.test(hook.id);
+    assert.equal(delivery.status, 'pending');
+    assert.ok(delivery.nextAttemptAt > Date.now() - 1);
+
+    await waitFor(() => delivery.status !== 'pending');
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(new Set(received.map(request => request.headers['x-webhook-delivery'])).size, 1);
+});
+
+test('client errors fail without a retry', async () => {
+    received.length = 0;
+    responses = [404];
+    const webhooks = createWebhooks();
+    const hook = webhooks.add({ url: baseUrl, secret: SECRET });
+
+    const delivery = await webhooks.test(hook.id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.error, 'HTTP 404');
+    assert.equal(received.length, 1);
+});
+
+test('deliveries still pending at startup are marked as interrupted', () => {
+    const webhooks = createWebhooks();
+    webhooks.store.data.deliveries.push({ id: 'a', status: 'pending', nextAttemptAt: Date.now() });
+    webhooks.store.save();
+
+    const restarted = new Webhooks(webhooks.store.filePath, webhooks.config);
+    const [delivery] = restarted.deliveries();
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.error, 'Interrupted by a restart');
+});